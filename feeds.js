@@ -0,0 +1,329 @@
+// TUBULAR-9000 Feed parsing - shared by the client and the server, that has its own minimal XML document model
+// (c) 2020 Bertrand Le Roy
+
+// Model mapping
+
+/**
+ * @callback mapping Transforms an object into another
+ * @param {object} obj The object to map
+ * @returns {object} The mapped object 
+ */
+
+/**
+ * Maps an object from one model to another
+ * @param {object} obj The object to map
+ * @param {mapping} mapping The function doing the mapping
+ */
+function mapModel(obj, mapping) {
+  return mapping(obj);
+}
+
+// Feed parsing
+
+const namespaces = {
+  atom: "http://www.w3.org/2005/Atom",
+  youtube: "http://www.youtube.com/xml/schemas/2015",
+  media: "http://search.yahoo.com/mrss/",
+  itunes: "http://www.itunes.com/dtds/podcast-1.0.dtd",
+  content: "http://purl.org/rss/1.0/modules/content/",
+  dc: "http://purl.org/dc/elements/1.1/"
+};
+
+/**
+ * Finds the child elements of an element by local name and namespace
+ * @param {Element} el The parent element
+ * @param {string} localName The local name of the child elements
+ * @param {string} namespace The namespace URI of the child elements, null for no namespace, or undefined for any
+ * @returns {Array<Element>} The matching child elements
+ */
+function childElements(el, localName, namespace) {
+  if (!el) return [];
+  return [...el.children].filter(child => child.localName === localName &&
+    (namespace === undefined || (child.namespaceURI || null) === namespace));
+}
+
+/**
+ * Finds the first child element of an element by local name and namespace
+ * @param {Element} el The parent element
+ * @param {string} localName The local name of the child element
+ * @param {string} namespace The namespace URI of the child element, null for no namespace, or undefined for any
+ * @returns {Element} The first matching child element, or null
+ */
+function childElement(el, localName, namespace) {
+  return childElements(el, localName, namespace)[0] || null;
+}
+
+/**
+ * Gets the trimmed text of the first child element of an element by local name and namespace
+ * @param {Element} el The parent element
+ * @param {string} localName The local name of the child element
+ * @param {string} namespace The namespace URI of the child element, null for no namespace, or undefined for any
+ * @returns {string} The text of the child element, or an empty string
+ */
+function childText(el, localName, namespace) {
+  const child = childElement(el, localName, namespace);
+  return child ? child.textContent.trim() : "";
+}
+
+/**
+ * Finds a Media RSS element on an entry, either directly or in its media group
+ * @param {Element} entry The entry or item element
+ * @param {string} localName The local name of the Media RSS element
+ * @returns {Element} The Media RSS element, or null
+ */
+function mediaElement(entry, localName) {
+  return childElement(entry, localName, namespaces.media) ||
+    childElement(childElement(entry, "group", namespaces.media), localName, namespaces.media);
+}
+
+/**
+ * Parses a date, ignoring invalid ones
+ * @param {string} text The text of the date
+ * @returns {Date} The date, or undefined if it's missing or invalid
+ */
+function parseDate(text) {
+  const date = text ? new Date(text) : null;
+  return date && !isNaN(date) ? date : undefined;
+}
+
+/**
+ * Un-escapes the predefined XML entities and the numeric character references of a string.
+ * References to code points that don't exist are left as they are.
+ * @param {string} value The escaped string
+ * @returns {string} The un-escaped string
+ */
+function unescapeXml(value) {
+  return value.replace(/&(#x[\da-f]+|#\d+|lt|gt|quot|apos|amp);/gi, (entity, code) => {
+    switch (code.toLowerCase()) {
+      case "lt": return "<";
+      case "gt": return ">";
+      case "quot": return '"';
+      case "apos": return "'";
+      case "amp": return "&";
+    }
+    const codePoint = code[1].toLowerCase() === "x" ? parseInt(code.substr(2), 16) : parseInt(code.substr(1), 10);
+    return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+  });
+}
+
+/**
+ * Reduces HTML to its text content
+ * @param {string} html The HTML to reduce
+ * @returns {string} The text
+ */
+function stripHtml(html) {
+  return unescapeXml(html
+    .replace(/<(br|\/p|\/div|\/li)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/gi, " "))
+    .trim();
+}
+
+/**
+ * Maps a media element to a media description
+ * @param {Element} el An enclosure, Atom enclosure link or Media RSS content element
+ * @param {string} urlAttribute The name of the attribute that has the URL of the media
+ * @returns {{url: string, type: string, medium: string, width: string, height: string}} The media description, or undefined
+ */
+function mapMedia(el, urlAttribute) {
+  return el && el.getAttribute(urlAttribute) ? mapModel(el, m => ({
+    url: m.getAttribute(urlAttribute),
+    type: m.getAttribute("type") || "",
+    medium: m.getAttribute("medium") || "",
+    width: m.getAttribute("width"),
+    height: m.getAttribute("height")
+  })) : undefined;
+}
+
+/**
+ * Maps a Media RSS community element to a star rating and a number of views
+ * @param {Element} entry The entry or item element
+ * @returns {{starRating: number, views: number}} The star rating and views, that are zero if missing
+ */
+function mapCommunity(entry) {
+  const community = mediaElement(entry, "community");
+  const starRating = childElement(community, "starRating", namespaces.media);
+  const statistics = childElement(community, "statistics", namespaces.media);
+  return {
+    starRating: starRating ? parseFloat(starRating.getAttribute("average")) || 0 : 0,
+    views: statistics ? parseInt(statistics.getAttribute("views")) || 0 : 0
+  };
+}
+
+/**
+ * Finds how a piece of media should be played
+ * @param {{url: string, type: string, medium: string}} media The media description
+ * @returns {string} "video" or "audio" for media that can be played natively, or "link" for the rest
+ */
+function getPlayerKind(media) {
+  if (!media) return "link";
+  const kind = media.medium || media.type.split("/")[0];
+  if (kind === "video" || kind === "audio") return kind;
+  const extension = /\.(\w+)(?:[?#]|$)/.exec(media.url);
+  if (extension && /^(mp4|m4v|webm|ogv|mov)$/i.test(extension[1])) return "video";
+  if (extension && /^(mp3|m4a|aac|oga|ogg|opus|wav|flac)$/i.test(extension[1])) return "audio";
+  return "link";
+}
+
+/**
+ * Finds the HTML link of an Atom feed or entry
+ * @param {Element} el The feed or entry element
+ * @returns {string} The URL of the link, or undefined
+ */
+function getAtomLink(el) {
+  const links = childElements(el, "link", namespaces.atom)
+    .filter(link => !link.getAttribute("rel") || link.getAttribute("rel") === "alternate");
+  const link = links.find(link => (link.getAttribute("type") || "text/html") === "text/html") || links[0];
+  return link ? link.getAttribute("href") : undefined;
+}
+
+/**
+ * @typedef {object} FeedParser
+ * @property {string} name The name of the feed format
+ * @property {function(Document): boolean} detect Finds if a document is in the feed format
+ * @property {function(Document, Subscription, createPosting): {pageUrl: string, icon: string, postings: Array<Posting>}} parse
+ * Parses a document in the feed format into the page URL and icon of the subscription and its postings
+ */
+
+/**
+ * @callback createPosting Creates a posting from its properties
+ * @param {object} options The properties of the posting
+ * @returns {Posting} The posting
+ */
+
+/**
+ * The registered feed parsers, in the order in which formats are detected
+ * @type {Array<FeedParser>}
+ */
+const feedParsers = [];
+
+/**
+ * Registers a feed parser. Parsers registered first have priority when detecting the feed format.
+ * @param {FeedParser} parser The feed parser
+ */
+function registerFeedParser(parser) {
+  feedParsers.push(parser);
+}
+
+/**
+ * Parses a feed document using the first parser that recognizes its format
+ * @param {Document} doc The feed document
+ * @param {Subscription} sub The subscription the feed is for
+ * @param {createPosting} createPosting Creates the postings, that are left as plain objects by default
+ * @returns {{pageUrl: string, icon: string, postings: Array<Posting>}} The page URL and icon of the subscription, and its postings
+ */
+function parseFeed(doc, sub, createPosting = options => options) {
+  const parser = feedParsers.find(p => p.detect(doc));
+  if (!parser) {
+    throw new Error(`${sub.title} isn't in a supported feed format.`);
+  }
+  return parser.parse(doc, sub, createPosting);
+}
+
+// YouTube channels and playlists: Atom with YouTube and Media RSS extensions
+registerFeedParser({
+  name: "YouTube",
+  detect: doc => doc.documentElement.localName === "feed" &&
+    doc.documentElement.namespaceURI === namespaces.atom &&
+    !!childElement(childElement(doc.documentElement, "entry", namespaces.atom), "videoId", namespaces.youtube),
+  parse: (doc, sub, createPosting) => ({
+    pageUrl: getAtomLink(doc.documentElement),
+    postings: childElements(doc.documentElement, "entry", namespaces.atom)
+      .map(entry => createPosting(Object.assign({
+        id: childText(entry, "videoId", namespaces.youtube) || childText(entry, "id", namespaces.atom),
+        title: childText(entry, "title", namespaces.atom),
+        url: getAtomLink(entry),
+        media: mapMedia(mediaElement(entry, "content"), "url"),
+        thumbnail: mapMedia(mediaElement(entry, "thumbnail"), "url"),
+        published: parseDate(childText(entry, "published", namespaces.atom)),
+        updated: parseDate(childText(entry, "updated", namespaces.atom)),
+        description: mediaElement(entry, "description") ? mediaElement(entry, "description").textContent.trim() : "",
+        player: "youtube",
+        subscription: sub
+      }, mapCommunity(entry))))
+  })
+});
+
+// Atom, possibly with Media RSS extensions or enclosure links, for example PeerTube
+registerFeedParser({
+  name: "Atom",
+  detect: doc => doc.documentElement.localName === "feed" && doc.documentElement.namespaceURI === namespaces.atom,
+  parse: (doc, sub, createPosting) => {
+    const feed = doc.documentElement;
+    const feedIcon = childText(feed, "icon", namespaces.atom) || childText(feed, "logo", namespaces.atom) || undefined;
+    return {
+      pageUrl: getAtomLink(feed),
+      icon: feedIcon,
+      postings: childElements(feed, "entry", namespaces.atom)
+        .map(entry => {
+          const enclosure = childElements(entry, "link", namespaces.atom)
+            .find(link => link.getAttribute("rel") === "enclosure");
+          const media = mapMedia(mediaElement(entry, "content"), "url") || mapMedia(enclosure, "href");
+          const summary = childElement(entry, "summary", namespaces.atom) || childElement(entry, "content", namespaces.atom);
+          const description = mediaElement(entry, "description") ?
+            mediaElement(entry, "description").textContent.trim() :
+            summary ? (summary.getAttribute("type") === "text" ? summary.textContent.trim() : stripHtml(summary.textContent)) : "";
+          return createPosting(Object.assign({
+            id: childText(entry, "id", namespaces.atom) || getAtomLink(entry),
+            title: childText(entry, "title", namespaces.atom),
+            url: getAtomLink(entry),
+            media,
+            thumbnail: mapMedia(mediaElement(entry, "thumbnail"), "url") || (feedIcon ? { url: feedIcon } : undefined),
+            published: parseDate(childText(entry, "published", namespaces.atom)) || parseDate(childText(entry, "updated", namespaces.atom)),
+            updated: parseDate(childText(entry, "updated", namespaces.atom)),
+            description,
+            player: getPlayerKind(media),
+            subscription: sub
+          }, mapCommunity(entry)));
+        })
+    };
+  }
+});
+
+// RSS 2.0, with enclosures, Media RSS or iTunes podcast extensions
+registerFeedParser({
+  name: "RSS",
+  detect: doc => doc.documentElement.localName === "rss" && !!childElement(doc.documentElement, "channel"),
+  parse: (doc, sub, createPosting) => {
+    const channel = childElement(doc.documentElement, "channel");
+    const itunesImage = childElement(channel, "image", namespaces.itunes);
+    const channelIcon = (itunesImage ? itunesImage.getAttribute("href") : null) ||
+      childText(childElement(channel, "image", null), "url", null) ||
+      (mediaElement(channel, "thumbnail") ? mediaElement(channel, "thumbnail").getAttribute("url") : null) ||
+      undefined;
+    return {
+      pageUrl: childText(channel, "link", null) || undefined,
+      icon: channelIcon,
+      postings: childElements(channel, "item", null)
+        .map(item => {
+          const media = mapMedia(childElement(item, "enclosure", null), "url") || mapMedia(mediaElement(item, "content"), "url");
+          const itemImage = childElement(item, "image", namespaces.itunes);
+          const thumbnail = mapMedia(mediaElement(item, "thumbnail"), "url") ||
+            (itemImage && itemImage.getAttribute("href") ? { url: itemImage.getAttribute("href") } : undefined) ||
+            (channelIcon ? { url: channelIcon } : undefined);
+          const description = childText(item, "description", null) ||
+            childText(item, "encoded", namespaces.content) ||
+            childText(item, "summary", namespaces.itunes);
+          const link = childText(item, "link", null) || undefined;
+          return createPosting(Object.assign({
+            id: childText(item, "guid", null) || link || (media ? media.url : undefined) || childText(item, "title", null),
+            title: childText(item, "title", null) || childText(item, "title", namespaces.itunes),
+            url: link || (media ? media.url : undefined),
+            media,
+            thumbnail,
+            published: parseDate(childText(item, "pubDate", null)) || parseDate(childText(item, "date", namespaces.dc)),
+            description: stripHtml(description),
+            duration: childText(item, "duration", namespaces.itunes),
+            player: getPlayerKind(media),
+            subscription: sub
+          }, mapCommunity(item)));
+        })
+    };
+  }
+});
+
+// Module
+
+if (typeof(module) !== "undefined") {
+  module.exports = { namespaces, unescapeXml, stripHtml, getPlayerKind, registerFeedParser, parseFeed };
+}
@@ -4,97 +4,2777 @@
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const zlib = require('zlib');
+const feeds = require('./feeds');
 
 // Settings
 
 const settings = {
   subscriptions: "subscriptions.opml",
+  // Profiles, served under /p/<name>/, each with its own subscriptions, such as { work: { subscriptions: "work.opml" } }:
+  profiles: {},
   hostname: "127.0.0.1",
   port: 3000,
+  // URL the server is reached at, such as https://tubes.example.com/, for the links in the feeds it serves.
+  // Without it, the links use the Host and X-Forwarded-Proto headers of each request:
+  publicUrl: null,
+  // Types of the static files, by extension:
   staticExtensions: {
     html: "text/html",
     css: "text/css",
     js: "text/javascript",
     png: "image/png",
-    ico: "image/vnd.microsoft.icon"
+    jpg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    svg: "image/svg+xml",
+    ico: "image/vnd.microsoft.icon",
+    webmanifest: "application/manifest+json",
+    woff: "font/woff",
+    woff2: "font/woff2",
+    txt: "text/plain"
   },
   home: "tubular.html",
-  allowedFeedHosts: ["www.youtube.com"]
+  // Files of the client, served from the directory of the server. Its other files, such as this one, aren't served:
+  clientFiles: [
+    "tubular.html", "tubular-9000.js", "feeds.js", "style.css", "service-worker.js", "tubular.png", "tubular.svg",
+    "favicon.ico", "favicon-16x16.png", "favicon-32x32.png", "apple-touch-icon-144x144.png", "apple-touch-icon-152x152.png"
+  ],
+  // Sub-directory of the directory of the server whose files, and the files of its sub-directories, are all served:
+  publicDirectory: "public",
+  // Hosts the proxy can fetch feeds and pages from. "*.example.com" allows all sub-domains of example.com:
+  allowedFeedHosts: ["www.youtube.com"],
+  maxRequestBodySize: 64 * 1024,
+  // Hosts the image proxy can fetch thumbnails and icons from:
+  allowedImageHosts: ["i.ytimg.com", "*.ggpht.com", "*.googleusercontent.com"],
+  // Sent with every response. Templates are interpreted without eval, so scripts never need 'unsafe-eval'.
+  // Images, stylesheets and fonts all come through the server, only the players talk to third parties:
+  contentSecurityPolicy: [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "font-src 'self'",
+    "img-src 'self' data:",
+    "media-src https:",
+    "frame-src https://www.youtube.com",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join("; "),
+  proxy: {
+    // Milliseconds to wait for the connection to an upstream server:
+    connectTimeout: 10 * 1000,
+    // Milliseconds to wait for data from an upstream server once connected:
+    readTimeout: 30 * 1000,
+    // Redirects are only followed to allowed hosts, and only that many times:
+    maxRedirects: 5,
+    maxResponseSize: 5 * 1024 * 1024,
+    maxConcurrentRequestsPerHost: 4
+  },
+  auth: {
+    // JSON file of user accounts, authentication is off without it. Each user has a password hash from
+    // --hash-password, and token hashes from --new-token for scripts, such as
+    // { "alice": { "password": "scrypt:...", "tokens": ["..."] } }
+    users: null,
+    // Seconds a login from the login page lasts:
+    sessionTtl: 7 * 24 * 60 * 60,
+    // Proxy requests allowed to each user in a window of seconds, when authentication is on. 0 means no limit.
+    // Feeds, images and assets only count when they're fetched upstream, not when they're served from their cache:
+    rateLimit: {
+      requests: 300,
+      // Failed logins allowed from each address, and for each user name, in a window. Each one hashes a password:
+      failedLogins: 10,
+      window: 60
+    }
+  },
+  imageCache: {
+    // Directory where images are cached:
+    directory: ".cache/images",
+    // Maximum size in bytes of the cache, the least recently used images are removed beyond it:
+    maxSize: 200 * 1024 * 1024
+  },
+  assets: {
+    // Directory where stylesheets and fonts are kept after being fetched once:
+    directory: ".cache/assets",
+    // Maximum size in bytes of the stored stylesheets and fonts, the least recently used are removed beyond it:
+    maxSize: 20 * 1024 * 1024,
+    // Hosts stylesheets and fonts can be fetched from:
+    allowedHosts: ["fonts.googleapis.com", "fonts.gstatic.com", "cdnjs.cloudflare.com"]
+  },
+  feedCache: {
+    // Directory where upstream responses are cached:
+    directory: ".cache/feeds",
+    // Number of seconds during which a cached response is served without revalidation:
+    ttl: 15 * 60
+  },
+  // The merged timeline of all subscriptions, served as /all.atom and /all.json:
+  mergedFeed: {
+    // Number of postings when the request doesn't set a limit:
+    limit: 50,
+    // Largest limit a request can set:
+    maxLimit: 500
+  },
+  // The personal state that clients sync through /state, such as watched postings and preferences:
+  state: {
+    // Directory where the state of each profile is kept, for each user when there's authentication:
+    directory: ".state",
+    // Maximum size in bytes of the state of a profile:
+    maxSize: 1024 * 1024
+  }
 };
 
-// Server
-const server = http.createServer((req, res) => {
-  console.log(`${new Date().toTimeString()} Requested: ${req.url}`);
+// Configuration
+
+/**
+ * The settings that can be configured, from the configuration file, from environment variables,
+ * and from command-line flags, each source overriding the previous ones
+ */
+const configurableSettings = [
+  { path: "port", type: "port", env: "TUBULAR_PORT", flag: "--port",
+    description: "Port the server listens on" },
+  { path: "hostname", type: "string", env: "TUBULAR_HOSTNAME", flag: "--hostname",
+    description: "Host name or address the server listens on" },
+  { path: "publicUrl", type: "url", env: "TUBULAR_PUBLIC_URL", flag: "--public-url",
+    description: "URL the server is reached at, for the links in /all.atom and /all.json" },
+  { path: "subscriptions", type: "string", env: "TUBULAR_SUBSCRIPTIONS", flag: "--subscriptions",
+    description: "Path of the OPML file of the default profile" },
+  { path: "profiles", type: "profiles", env: "TUBULAR_PROFILES", flag: "--profiles",
+    description: "Profiles served under /p/<name>/, as name=opml-path pairs separated by commas" },
+  { path: "allowedFeedHosts", type: "list", env: "TUBULAR_ALLOWED_FEED_HOSTS", flag: "--allowed-feed-hosts",
+    description: "Hosts the proxy can fetch from, separated by commas, *.example.com for all sub-domains. " +
+      "Feeds from other hosts than YouTube, such as PeerTube instances and podcasts, need their hosts here" },
+  { path: "allowedImageHosts", type: "list", env: "TUBULAR_ALLOWED_IMAGE_HOSTS", flag: "--allowed-image-hosts",
+    description: "Hosts the image proxy can fetch from, separated by commas, *.example.com for all sub-domains" },
+  { path: "maxRequestBodySize", type: "count", env: "TUBULAR_MAX_REQUEST_BODY_SIZE", flag: "--max-request-body-size",
+    description: "Maximum size in bytes of API request bodies" },
+  { path: "proxy.connectTimeout", type: "count", env: "TUBULAR_PROXY_CONNECT_TIMEOUT", flag: "--proxy-connect-timeout",
+    description: "Milliseconds to wait for the connection to an upstream server" },
+  { path: "proxy.readTimeout", type: "count", env: "TUBULAR_PROXY_READ_TIMEOUT", flag: "--proxy-read-timeout",
+    description: "Milliseconds to wait for data from an upstream server" },
+  { path: "proxy.maxRedirects", type: "count", env: "TUBULAR_PROXY_MAX_REDIRECTS", flag: "--proxy-max-redirects",
+    description: "Maximum number of redirects followed for an upstream request" },
+  { path: "proxy.maxResponseSize", type: "count", env: "TUBULAR_PROXY_MAX_RESPONSE_SIZE", flag: "--proxy-max-response-size",
+    description: "Maximum size in bytes of upstream responses" },
+  { path: "proxy.maxConcurrentRequestsPerHost", type: "count", env: "TUBULAR_PROXY_MAX_CONCURRENT_REQUESTS_PER_HOST",
+    flag: "--proxy-max-concurrent-requests-per-host", description: "Maximum number of simultaneous requests to an upstream host" },
+  { path: "auth.users", type: "string", env: "TUBULAR_AUTH_USERS", flag: "--auth-users",
+    description: "JSON file of user accounts, that turns authentication on" },
+  { path: "auth.sessionTtl", type: "count", env: "TUBULAR_AUTH_SESSION_TTL", flag: "--auth-session-ttl",
+    description: "Seconds a login from the login page lasts" },
+  { path: "auth.rateLimit.requests", type: "count", env: "TUBULAR_AUTH_RATE_LIMIT_REQUESTS", flag: "--auth-rate-limit-requests",
+    description: "Upstream fetches allowed to each user in a rate limiting window, when authentication is on, 0 for no limit" },
+  { path: "auth.rateLimit.failedLogins", type: "count", env: "TUBULAR_AUTH_RATE_LIMIT_FAILED_LOGINS",
+    flag: "--auth-rate-limit-failed-logins",
+    description: "Failed logins allowed from each address and for each user name in a rate limiting window, 0 for no limit" },
+  { path: "auth.rateLimit.window", type: "count", env: "TUBULAR_AUTH_RATE_LIMIT_WINDOW", flag: "--auth-rate-limit-window",
+    description: "Seconds of a rate limiting window" },
+  { path: "imageCache.directory", type: "string", env: "TUBULAR_IMAGE_CACHE_DIRECTORY", flag: "--image-cache-directory",
+    description: "Directory where images are cached" },
+  { path: "imageCache.maxSize", type: "count", env: "TUBULAR_IMAGE_CACHE_MAX_SIZE", flag: "--image-cache-max-size",
+    description: "Maximum size in bytes of the image cache" },
+  { path: "assets.directory", type: "string", env: "TUBULAR_ASSETS_DIRECTORY", flag: "--assets-directory",
+    description: "Directory where stylesheets and fonts are kept" },
+  { path: "assets.maxSize", type: "count", env: "TUBULAR_ASSETS_MAX_SIZE", flag: "--assets-max-size",
+    description: "Maximum size in bytes of the stored stylesheets and fonts" },
+  { path: "assets.allowedHosts", type: "list", env: "TUBULAR_ASSETS_ALLOWED_HOSTS", flag: "--assets-allowed-hosts",
+    description: "Hosts stylesheets and fonts can be fetched from, separated by commas" },
+  { path: "feedCache.directory", type: "string", env: "TUBULAR_FEED_CACHE_DIRECTORY", flag: "--feed-cache-directory",
+    description: "Directory where upstream responses are cached" },
+  { path: "feedCache.ttl", type: "count", env: "TUBULAR_FEED_CACHE_TTL", flag: "--feed-cache-ttl",
+    description: "Seconds during which a cached response is served without revalidation" },
+  { path: "mergedFeed.limit", type: "count", env: "TUBULAR_MERGED_FEED_LIMIT", flag: "--merged-feed-limit",
+    description: "Number of postings in /all.atom and /all.json when the request doesn't set a limit" },
+  { path: "mergedFeed.maxLimit", type: "count", env: "TUBULAR_MERGED_FEED_MAX_LIMIT", flag: "--merged-feed-max-limit",
+    description: "Largest number of postings a request for /all.atom or /all.json can ask for" },
+  { path: "state.directory", type: "string", env: "TUBULAR_STATE_DIRECTORY", flag: "--state-directory",
+    description: "Directory where the state synced by clients is kept" },
+  { path: "state.maxSize", type: "count", env: "TUBULAR_STATE_MAX_SIZE", flag: "--state-max-size",
+    description: "Maximum size in bytes of the state of a profile" }
+];
+
+// Path of the configuration file, if it's not set with --config or TUBULAR_CONFIG. It's optional.
+const defaultConfigFile = "tubular.config.json";
+
+/**
+ * Parses and validates a setting value, either from JSON or from an environment variable or flag
+ * @param {{path: string, type: string}} setting The setting
+ * @param {*} value The value, a string if it comes from an environment variable or a flag
+ * @param {string} source A description of where the value comes from, for error messages
+ * @returns {*} The parsed value
+ */
+function parseSetting(setting, value, source) {
+  const invalid = expected => new Error(`${source}: ${setting.path} must be ${expected}.`);
+  switch (setting.type) {
+    case "string":
+      if (typeof(value) !== "string" || !value.trim()) throw invalid("a non-empty string");
+      return value.trim();
+    case "port":
+    case "count": {
+      const number = typeof(value) === "string" && value.trim() ? Number(value) : value;
+      if (typeof(number) !== "number" || !Number.isInteger(number) || number < 0) throw invalid("a positive integer");
+      if (setting.type === "port" && number > 65535) throw invalid("a port number, at most 65535");
+      return number;
+    }
+    case "url": {
+      let url = null;
+      try {
+        url = new URL(value);
+      }
+      catch(e) {
+        // Reported below
+      }
+      if (!url || !["http:", "https:"].includes(url.protocol) || url.search || url.hash) throw invalid("an http or https URL");
+      return url.href.endsWith("/") ? url.href : `${url.href}/`;
+    }
+    case "list": {
+      const list = typeof(value) === "string" ? value.split(",").map(item => item.trim()).filter(item => item) : value;
+      if (!Array.isArray(list) || list.length === 0 || list.some(item => typeof(item) !== "string" || !item)) {
+        throw invalid("a non-empty list of names");
+      }
+      return list;
+    }
+    case "profiles": {
+      const profiles = typeof(value) === "string" ?
+        Object.fromEntries(value.split(",").filter(pair => pair.trim()).map(pair => {
+          const separator = pair.indexOf("=");
+          return separator === -1 ?
+            [pair.trim(), {}] :
+            [pair.substring(0, separator).trim(), { subscriptions: pair.substring(separator + 1).trim() }];
+        })) :
+        value;
+      if (!profiles || typeof(profiles) !== "object" || Array.isArray(profiles)) throw invalid("an object of profiles");
+      for (let [name, profile] of Object.entries(profiles)) {
+        if (!/^[\w-]+$/.test(name)) throw invalid(`made of profiles whose names only use letters, digits, _ and -, not "${name}"`);
+        if (!profile || typeof(profile) !== "object") throw invalid(`made of profile objects, not ${JSON.stringify(profile)} for ${name}`);
+        profile.subscriptions = parseSetting({ path: `profiles.${name}.subscriptions`, type: "string" },
+          profile.subscriptions === undefined ? `${name}.opml` : profile.subscriptions, source);
+      }
+      return profiles;
+    }
+  }
+}
+
+/**
+ * Sets a setting from its dotted path
+ * @param {string} settingPath The path of the setting, such as "feedCache.ttl"
+ * @param {*} value The value
+ */
+function setSetting(settingPath, value) {
+  const names = settingPath.split(".");
+  const parent = names.slice(0, -1).reduce((obj, name) => obj[name], settings);
+  parent[names[names.length - 1]] = value;
+}
+
+/**
+ * Reads the configuration file, and applies its settings
+ * @param {string} file The path of the file
+ * @param {boolean} required True if the file was explicitly set, and it's an error if it doesn't exist
+ */
+function applyConfigFile(file, required) {
+  let text;
   try {
-    if (req.method === "GET") {
-      // Home page
-      if (req.url === "/") {
-        res.writeHead(200, {
-          "Content-Type": "text/html"
-        });
-        fs.createReadStream(settings.home).pipe(res);
+    text = fs.readFileSync(file, "utf8");
+  }
+  catch(e) {
+    if (e.code === "ENOENT" && !required) return;
+    throw new Error(`The configuration file ${file} can't be read: ${e.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  }
+  catch(e) {
+    throw new Error(`The configuration file ${file} isn't valid JSON: ${e.message}`);
+  }
+  // Find the settings in the file by walking it, so that unknown settings are reported
+  const walk = (obj, prefix) => {
+    if (!obj || typeof(obj) !== "object" || Array.isArray(obj)) {
+      throw new Error(`${file}: ${prefix || "the configuration"} must be an object.`);
+    }
+    for (let [name, value] of Object.entries(obj)) {
+      const settingPath = prefix ? `${prefix}.${name}` : name;
+      const setting = configurableSettings.find(s => s.path === settingPath);
+      if (setting) {
+        setSetting(setting.path, parseSetting(setting, value, file));
+      }
+      else if (configurableSettings.some(s => s.path.startsWith(`${settingPath}.`))) {
+        walk(value, settingPath);
+      }
+      else {
+        throw new Error(`${file}: ${settingPath} isn't a setting.`);
+      }
+    }
+  };
+  walk(config, "");
+}
+
+/**
+ * Builds the text shown by --help
+ * @returns {string} The help text
+ */
+function getHelp() {
+  const width = Math.max(...configurableSettings.map(s => s.flag.length)) + " <value>".length;
+  return [
+    "Usage: node server.js [options]",
+    "",
+    "Settings come from the configuration file, then from environment variables, then from these options,",
+    "each overriding the previous ones.",
+    "",
+    "Options:",
+    `  ${"--config <file>".padEnd(width)}  Configuration file in JSON (${defaultConfigFile}), or TUBULAR_CONFIG`,
+    ...configurableSettings.map(s =>
+      `  ${`${s.flag} <value>`.padEnd(width)}  ${s.description} (${JSON.stringify(s.path.split(".").reduce((obj, name) => obj[name], settings))}), or ${s.env}`),
+    `  ${"--help".padEnd(width)}  Shows this help`,
+    "",
+    "Commands:",
+    `  ${"--hash-password".padEnd(width)}  Hashes the password written to the standard input, for the users file`,
+    `  ${"--new-token".padEnd(width)}  Makes a bearer token for scripts, and its hash for the users file`
+  ].join("\n");
+}
+
+/**
+ * Applies the configuration file, environment variables and command-line flags to the settings
+ * @param {Array<string>} args The command-line arguments
+ * @param {object} env The environment variables
+ * @returns {boolean} False if the server shouldn't start, because help was requested
+ */
+function configure(args, env) {
+  const flags = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--help" || args[i] === "-h") {
+      console.log(getHelp());
+      return false;
+    }
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (flag !== "--config" && !configurableSettings.some(s => s.flag === flag)) {
+      throw new Error(`${args[i]} isn't a known option. Run with --help to see the options.`);
+    }
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) throw new Error(`${flag} needs a value.`);
+    flags.push({ flag, value });
+  }
+  const configFlag = flags.filter(f => f.flag === "--config").pop();
+  const configFile = configFlag ? configFlag.value : env.TUBULAR_CONFIG;
+  applyConfigFile(configFile || defaultConfigFile, !!configFile);
+  for (let setting of configurableSettings) {
+    if (env[setting.env] !== undefined) {
+      setSetting(setting.path, parseSetting(setting, env[setting.env], setting.env));
+    }
+  }
+  for (let { flag, value } of flags) {
+    const setting = configurableSettings.find(s => s.flag === flag);
+    if (setting) {
+      setSetting(setting.path, parseSetting(setting, value, flag));
+    }
+  }
+  return true;
+}
+
+// Profiles
+
+/**
+ * Finds the profile a request is for, from the /p/<name>/ prefix of its URL, and removes the prefix from the URL
+ * so that the request is handled as if it was for the default profile
+ * @param {http.IncomingMessage} req The request
+ * @returns {{name: string, subscriptions: string, redirect: string}} The profile, with a URL to redirect to if the
+ * prefix has no trailing slash, or null if the prefix names no profile
+ */
+function getProfile(req) {
+  const match = /^\/p\/([^/?]+)(.*)$/.exec(req.url);
+  if (!match) {
+    return { name: null, subscriptions: settings.subscriptions };
+  }
+  const [, name, rest] = match;
+  if (!Object.prototype.hasOwnProperty.call(settings.profiles, name)) return null;
+  const profile = { name, subscriptions: settings.profiles[name].subscriptions };
+  if (rest[0] !== "/") {
+    // Relative URLs in the page only resolve under the profile with the trailing slash
+    profile.redirect = `/p/${name}/${rest}`;
+    return profile;
+  }
+  req.url = rest;
+  return profile;
+}
+
+// Authentication
+
+const sessionCookie = "tubular_session";
+const csrfCookie = "tubular_csrf";
+// Sessions opened from the login page, by id. They don't survive a restart of the server.
+const sessions = new Map();
+// Users recently authenticated with HTTP Basic, by hash of their Authorization header, to not hash passwords on every request
+const basicAuthentications = new Map();
+// Proxy requests in the current rate limiting window, by user
+const rateWindows = new Map();
+// Failed logins in the current rate limiting window, by address and by user name
+const failedLogins = new Map();
+// The users file, as last read
+let users = { mtime: 0, accounts: {} };
+
+const scrypt = util.promisify(crypto.scrypt);
+
+/**
+ * Hashes a password for the users file
+ * @param {string} password The password
+ * @returns {Promise<string>} The salted hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `scrypt:${salt.toString("base64")}:${hash.toString("base64")}`;
+}
+
+/**
+ * Checks a password against its hash from the users file
+ * @param {string} password The password
+ * @param {string} stored The salted hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = typeof(stored) === "string" ? stored.split(":") : [];
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hashes a bearer token, the way it's stored in the users file
+ * @param {string} token The token
+ * @returns {string} The hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Gets the user accounts, reading the users file again if it changed
+ * @returns {Promise<object>} The accounts, by user name
+ */
+async function loadUsers() {
+  const stat = await fs.promises.stat(settings.auth.users);
+  if (stat.mtimeMs !== users.mtime) {
+    const accounts = JSON.parse(await fs.promises.readFile(settings.auth.users, "utf8"));
+    if (!accounts || typeof(accounts) !== "object" || Object.values(accounts).some(account => !account || typeof(account) !== "object")) {
+      throw new Error(`${settings.auth.users} must be an object of user accounts.`);
+    }
+    users = { mtime: stat.mtimeMs, accounts };
+    basicAuthentications.clear();
+  }
+  return users.accounts;
+}
+
+/**
+ * Parses the cookies of a request. Cookies are shared by all the servers of a host, so the ones that aren't
+ * properly encoded are skipped rather than failing the request.
+ * @param {http.IncomingMessage} req The request
+ * @returns {object} The cookie values, by name
+ */
+function parseCookies(req) {
+  const cookies = {};
+  for (let cookie of (req.headers["cookie"] || "").split(";")) {
+    const [name, value] = cookie.trim().split(/=(.*)/s);
+    if (!name || value === undefined) continue;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    }
+    catch(e) {
+      // Not from this server
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Finds who sent a request, from its HTTP Basic or bearer Authorization header, or from its session cookie
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response, that gets a Retry-After header after too many failed logins
+ * @returns {Promise<{user: string, session: object}>} The user, and the session if it's from a cookie,
+ * or null if the request isn't authenticated
+ * @throws {HttpError} A 429 error after too many failed logins
+ */
+async function authenticate(req, res) {
+  const accounts = await loadUsers();
+  const [scheme, credentials] = (req.headers["authorization"] || "").split(" ");
+  if (scheme === "Basic" && credentials) {
+    const key = hashToken(credentials);
+    const cached = basicAuthentications.get(key);
+    if (cached && cached.expires > Date.now()) return { user: cached.user };
+    const [user, password] = Buffer.from(credentials, "base64").toString("utf8").split(/:(.*)/s);
+    const retryAfter = limitFailedLogins(req, user);
+    if (retryAfter) {
+      res.setHeader("Retry-After", retryAfter);
+      throw new HttpError(429, "Too many failed logins, try again later.");
+    }
+    if (Object.prototype.hasOwnProperty.call(accounts, user) && password !== undefined &&
+      await verifyPassword(password, accounts[user].password)) {
+      basicAuthentications.set(key, { user, expires: Date.now() + 5 * 60 * 1000 });
+      return { user };
+    }
+    countFailedLogin(req, user);
+    return null;
+  }
+  if (scheme === "Bearer" && credentials) {
+    const hash = hashToken(credentials);
+    const user = Object.keys(accounts).find(name => (accounts[name].tokens || []).includes(hash));
+    return user ? { user } : null;
+  }
+  const id = parseCookies(req)[sessionCookie];
+  const session = id && sessions.get(id);
+  if (session && session.expires > Date.now() && Object.prototype.hasOwnProperty.call(accounts, session.user)) {
+    return { user: session.user, session };
+  }
+  if (session) sessions.delete(id);
+  return null;
+}
+
+/**
+ * Opens a session for a user
+ * @param {http.ServerResponse} res The response, that gets the session cookies
+ * @param {string} user The user name
+ */
+function openSession(res, user) {
+  const now = Date.now();
+  for (let [id, session] of sessions) {
+    if (session.expires <= now) sessions.delete(id);
+  }
+  const id = crypto.randomBytes(32).toString("base64url");
+  const csrf = crypto.randomBytes(32).toString("base64url");
+  sessions.set(id, { user, csrf, expires: now + settings.auth.sessionTtl * 1000 });
+  res.setHeader("Set-Cookie", [
+    `${sessionCookie}=${id}; Path=/; Max-Age=${settings.auth.sessionTtl}; HttpOnly; SameSite=Strict`,
+    // The client script reads this one, and sends it back in a header with the requests that change something
+    `${csrfCookie}=${csrf}; Path=/; Max-Age=${settings.auth.sessionTtl}; SameSite=Strict`
+  ]);
+}
+
+/**
+ * Reads an URL-encoded form
+ * @param {http.IncomingMessage} req The request
+ * @returns {Promise<URLSearchParams>} The form fields
+ */
+function readFormBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > settings.maxRequestBodySize) {
+        reject(new HttpError(413, "The request body is too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(new URLSearchParams(Buffer.concat(chunks).toString("utf8"))));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Keeps a redirection after login within the server
+ * @param {string} next The URL to go to after login
+ * @returns {string} The URL if it's a local path, or the home page
+ */
+function getLocalUrl(next) {
+  return typeof(next) === "string" && next[0] === "/" && next[1] !== "/" && next[1] !== "\\" ? next : "/";
+}
+
+/**
+ * Sends the login page
+ * @param {http.ServerResponse} res The response
+ * @param {number} status The HTTP status code
+ * @param {string} next The URL to go to after login
+ * @param {string} message An optional error message
+ */
+function sendLoginPage(res, status, next, message) {
+  res.writeHead(status, {
+    "Content-Type": "text/html",
+    "Cache-Control": "no-store"
+  });
+  res.end(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>TUBULAR-9000 login</title>
+    <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">
+    <link rel="stylesheet" href="/assets/fonts.googleapis.com/css?family=Roboto:300,300italic,700,700italic">
+    <link rel="stylesheet" href="/assets/cdnjs.cloudflare.com/ajax/libs/normalize/8.0.1/normalize.css">
+    <link rel="stylesheet" href="/assets/cdnjs.cloudflare.com/ajax/libs/milligram/1.4.1/milligram.css">
+  </head>
+  <body>
+    <main class="container">
+      <h1><img src="/favicon-32x32.png" alt=""/> TUBULAR-9000</h1>
+      ${message ? `<p><strong>${escapeXml(message)}</strong></p>` : ""}
+      <form method="post" action="/login">
+        <input type="hidden" name="next" value="${escapeXml(getLocalUrl(next))}"/>
+        <label>User<input type="text" name="user" autocomplete="username" required autofocus/></label>
+        <label>Password<input type="password" name="password" autocomplete="current-password" required/></label>
+        <button type="submit">Log in</button>
+      </form>
+    </main>
+  </body>
+</html>`);
+}
+
+/**
+ * Handles the login form
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ */
+async function login(req, res) {
+  const form = await readFormBody(req);
+  const user = form.get("user") || "";
+  const accounts = await loadUsers();
+  const retryAfter = limitFailedLogins(req, user);
+  if (retryAfter) {
+    res.setHeader("Retry-After", retryAfter);
+    sendLoginPage(res, 429, form.get("next"), `Too many failed logins, try again in ${retryAfter} seconds.`);
+    return;
+  }
+  if (!Object.prototype.hasOwnProperty.call(accounts, user) ||
+    !await verifyPassword(form.get("password") || "", accounts[user].password)) {
+    console.log(`${new Date().toTimeString()} Failed login for ${JSON.stringify(user)}`);
+    countFailedLogin(req, user);
+    sendLoginPage(res, 401, form.get("next"), "The user name or the password is wrong.");
+    return;
+  }
+  openSession(res, user);
+  res.writeHead(303, {
+    "Location": getLocalUrl(form.get("next"))
+  });
+  res.end();
+}
+
+/**
+ * Gets the host of an Origin header
+ * @param {string} origin The origin, such as https://example.com:8080, or "null" for opaque origins
+ * @returns {string} The host and port, or null if the origin isn't an URL
+ */
+function getOriginHost(origin) {
+  try {
+    return new URL(origin).host;
+  }
+  catch(e) {
+    return null;
+  }
+}
+
+/**
+ * Finds if a request changes something on the server, and needs to be protected against cross-site request forgery
+ * @param {http.IncomingMessage} req The request
+ * @returns {boolean} True if the request changes something
+ */
+function isStateChanging(req) {
+  return !["GET", "HEAD", "OPTIONS"].includes(req.method);
+}
+
+/**
+ * Checks that a request is allowed, and handles the login and logout requests.
+ * Browsers get redirected to the login page, and other clients get a 401.
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @returns {Promise<{user: string}>} The user who sent the request, null if there's no authentication,
+ * or null if the response was already sent
+ */
+async function authorize(req, res) {
+  // Browsers send the origin of cross-site requests, that mustn't change anything, whatever the authentication
+  if (isStateChanging(req) && req.headers["origin"] && getOriginHost(req.headers["origin"]) !== req.headers["host"]) {
+    throw new HttpError(403, "Cross-origin requests are not allowed.");
+  }
+  if (!settings.auth.users) return { user: null };
+  const [pathname, query] = req.url.split(/\?(.*)/s);
+  if (pathname === "/login") {
+    if (req.method === "POST") {
+      await login(req, res);
+    }
+    else {
+      sendLoginPage(res, 200, new URLSearchParams(query || "").get("next"));
+    }
+    return null;
+  }
+  // The login page needs its icon, stylesheets and fonts
+  if (req.method === "GET" && (/^\/favicon(-\d+x\d+\.png|\.ico)$/.test(pathname) || pathname.startsWith("/assets/"))) {
+    return { user: null };
+  }
+  const authenticated = await authenticate(req, res);
+  if (!authenticated) {
+    if (req.method === "GET" && (req.headers["accept"] || "").includes("text/html")) {
+      res.writeHead(303, {
+        "Location": `/login?next=${encodeURIComponent(req.url)}`
+      });
+      res.end();
+      return null;
+    }
+    res.setHeader("WWW-Authenticate", 'Bearer realm="TUBULAR-9000"');
+    throw new HttpError(401, "Authentication is required.");
+  }
+  const session = authenticated.session;
+  if (session && isStateChanging(req) && !(typeof(req.headers["x-csrf-token"]) === "string" &&
+    req.headers["x-csrf-token"].length === session.csrf.length &&
+    crypto.timingSafeEqual(Buffer.from(req.headers["x-csrf-token"]), Buffer.from(session.csrf)))) {
+    throw new HttpError(403, "The request is missing its CSRF token.");
+  }
+  if (pathname === "/logout" && req.method === "POST") {
+    if (session) {
+      sessions.delete(parseCookies(req)[sessionCookie]);
+    }
+    res.setHeader("Set-Cookie", [
+      `${sessionCookie}=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict`,
+      `${csrfCookie}=; Path=/; Max-Age=0; SameSite=Strict`
+    ]);
+    sendJson(res, 200, {});
+    return null;
+  }
+  return { user: authenticated.user };
+}
+
+/**
+ * Gets the current rate limiting window of a key, starting a new one if the previous one is over
+ * @param {Map<string, {start: number, count: number}>} windows The current windows, by key
+ * @param {string} key The key, such as a user name
+ * @returns {{start: number, count: number}} The window, with the number of requests counted in it
+ */
+function getRateWindow(windows, key) {
+  const now = Date.now();
+  const windowLength = settings.auth.rateLimit.window * 1000;
+  let rateWindow = windows.get(key);
+  if (!rateWindow || now - rateWindow.start >= windowLength) {
+    for (let [other, otherWindow] of windows) {
+      if (now - otherWindow.start >= windowLength) windows.delete(other);
+    }
+    rateWindow = { start: now, count: 0 };
+    windows.set(key, rateWindow);
+  }
+  return rateWindow;
+}
+
+/**
+ * Gets the number of seconds until a rate limiting window is over
+ * @param {{start: number}} rateWindow The window
+ * @returns {number} The number of seconds
+ */
+function getRetryAfter(rateWindow) {
+  return Math.ceil((rateWindow.start + settings.auth.rateLimit.window * 1000 - Date.now()) / 1000);
+}
+
+/**
+ * Counts a proxy request against the rate limit of a user. There's no limit without authentication.
+ * @param {string} user The user name, or the address of the client for the files of the login page
+ * @returns {number} 0 if the request is allowed, or the number of seconds until the user can send requests again
+ */
+function limitRate(user) {
+  if (!settings.auth.users || !settings.auth.rateLimit.requests) return 0;
+  const rateWindow = getRateWindow(rateWindows, user);
+  if (rateWindow.count >= settings.auth.rateLimit.requests) {
+    return getRetryAfter(rateWindow);
+  }
+  rateWindow.count++;
+  return 0;
+}
+
+/**
+ * Gets the keys failed logins are counted by: the address they're from, so that one client can't try many
+ * passwords, and the user name, so that many clients can't try many passwords of the same user
+ * @param {http.IncomingMessage} req The login request
+ * @param {string} user The user name
+ * @returns {Array<string>} The keys
+ */
+function getFailedLoginKeys(req, user) {
+  return [`address:${req.socket.remoteAddress}`, `user:${user}`];
+}
+
+/**
+ * Checks that a login can be tried, before its password is hashed
+ * @param {http.IncomingMessage} req The login request
+ * @param {string} user The user name
+ * @returns {number} 0 if the login can be tried, or the number of seconds until it can
+ */
+function limitFailedLogins(req, user) {
+  if (!settings.auth.rateLimit.failedLogins) return 0;
+  const exceeded = getFailedLoginKeys(req, user)
+    .map(key => getRateWindow(failedLogins, key))
+    .filter(rateWindow => rateWindow.count >= settings.auth.rateLimit.failedLogins);
+  return exceeded.length ? Math.max(...exceeded.map(getRetryAfter)) : 0;
+}
+
+/**
+ * Counts a failed login against the limits of its address and of its user name
+ * @param {http.IncomingMessage} req The login request
+ * @param {string} user The user name
+ */
+function countFailedLogin(req, user) {
+  getFailedLoginKeys(req, user).forEach(key => getRateWindow(failedLogins, key).count++);
+}
+
+/**
+ * Counts a proxy request against the rate limit of its client
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response, that gets a Retry-After header if the client is over the limit,
+ * or null if the request does more than one fetch
+ * @param {{user: string}} client Who sent the request, with a null user if there's no authentication
+ * @throws {HttpError} A 429 error if the client is over the limit
+ */
+function checkRateLimit(req, res, client) {
+  const retryAfter = limitRate(client.user || req.socket.remoteAddress);
+  if (retryAfter) {
+    if (res) res.setHeader("Retry-After", retryAfter);
+    throw new HttpError(429, "Too many requests, try again later.");
+  }
+}
+
+/**
+ * Reads a password from the standard input, and writes its hash for the users file
+ */
+async function hashPasswordCommand() {
+  const chunks = [];
+  for await (let chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  const password = Buffer.concat(chunks).toString("utf8").replace(/\r?\n$/, "");
+  if (!password) throw new Error("The password to hash must be written to the standard input.");
+  console.log(await hashPassword(password));
+}
+
+/**
+ * Writes a new random bearer token, and its hash for the users file
+ */
+function newTokenCommand() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  console.log(`Token: ${token}\nHash for the users file: ${hashToken(token)}`);
+}
+
+// Upstream requests
+
+// Number of active requests and waiting requests, by upstream host
+const hostSlots = new Map();
+
+/**
+ * Waits until a request to a host can be made without exceeding the maximum number of concurrent requests to that host
+ * @param {string} host The host name
+ * @returns {Promise<function>} The function to call when the request is done
+ */
+function acquireHostSlot(host) {
+  const slots = hostSlots.get(host) || hostSlots.set(host, { active: 0, waiting: [] }).get(host);
+  return new Promise(resolve => {
+    const grant = () => {
+      slots.active++;
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        slots.active--;
+        const next = slots.waiting.shift();
+        if (next) {
+          next();
+        }
+        else if (slots.active === 0) {
+          hostSlots.delete(host);
+        }
+      });
+    };
+    if (slots.active < settings.proxy.maxConcurrentRequestsPerHost) {
+      grant();
+    }
+    else {
+      slots.waiting.push(grant);
+    }
+  });
+}
+
+/**
+ * Sends a GET request to an upstream server, with connection and read timeouts
+ * @param {URL} url The URL of the upstream resource
+ * @param {object} headers The request headers
+ * @returns {Promise<{request: http.ClientRequest, response: http.IncomingMessage}>} The request and its response
+ */
+function requestUpstream(url, headers) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { headers });
+    const connectTimer = setTimeout(
+      () => request.destroy(new HttpError(504, `Connecting to ${url.hostname} timed out.`)),
+      settings.proxy.connectTimeout);
+    request.on("socket", socket => {
+      if (socket.connecting) {
+        socket.once("connect", () => clearTimeout(connectTimer));
+      }
+      else {
+        clearTimeout(connectTimer);
+      }
+    });
+    request.setTimeout(settings.proxy.readTimeout,
+      () => request.destroy(new HttpError(504, `${url.hostname} didn't answer in time.`)));
+    request.on("close", () => clearTimeout(connectTimer));
+    request.on("error", e => reject(e instanceof HttpError ? e : new HttpError(502, `${url.hostname} can't be reached: ${e.message}`)));
+    request.on("response", response => resolve({ request, response }));
+  });
+}
+
+/**
+ * Reads the body of an upstream response, up to the maximum response size
+ * @param {URL} url The URL of the upstream resource
+ * @param {http.ClientRequest} request The request
+ * @param {http.IncomingMessage} response The response
+ * @returns {Promise<Buffer>} The body
+ */
+function readUpstreamBody(url, request, response) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = new HttpError(502, `The response from ${url.hostname} is larger than ${settings.proxy.maxResponseSize} bytes.`);
+    if (Number(response.headers["content-length"]) > settings.proxy.maxResponseSize) {
+      request.destroy();
+      reject(tooLarge);
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    response.on("data", chunk => {
+      size += chunk.length;
+      if (size > settings.proxy.maxResponseSize) {
+        request.destroy(tooLarge);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on("end", () => resolve(Buffer.concat(chunks)));
+    response.on("error", () => reject(new HttpError(502, `The response from ${url.hostname} was interrupted.`)));
+    request.on("error", e => reject(e instanceof HttpError ? e : new HttpError(502, `The response from ${url.hostname} was interrupted: ${e.message}`)));
+  });
+}
+
+/**
+ * Fetches an upstream resource, following redirects to allowed hosts
+ * @param {string} url The URL of the upstream resource
+ * @param {object} headers The request headers
+ * @param {function} isAllowedHost Checks the hosts of redirects, feed hosts by default
+ * @returns {Promise<{status: number, statusMessage: string, headers: object, body: Buffer}>} The final response
+ */
+async function fetchUpstream(url, headers, isAllowedHost = isAllowedFeedHost) {
+  let current = new URL(url);
+  for (let redirects = 0; ; redirects++) {
+    const release = await acquireHostSlot(current.hostname);
+    try {
+      const { request, response } = await requestUpstream(current, headers);
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers["location"]) {
+        response.resume();
+        const target = new URL(response.headers["location"], current);
+        if (target.protocol !== "https:" || target.port || !isAllowedHost(target.hostname)) {
+          throw new HttpError(502, `${current.hostname} redirects to ${target.origin}, that isn't an allowed host.`);
+        }
+        if (redirects >= settings.proxy.maxRedirects) {
+          throw new HttpError(502, `${url} redirects more than ${settings.proxy.maxRedirects} times.`);
+        }
+        current = target;
+        continue;
+      }
+      return {
+        status: response.statusCode,
+        statusMessage: response.statusMessage,
+        headers: response.headers,
+        body: await readUpstreamBody(current, request, response)
+      };
+    }
+    finally {
+      release();
+    }
+  }
+}
+
+// Feed cache
+
+/**
+ * Finds if a host is in a list of allowed hosts
+ * @param {string} host The host name
+ * @param {Array<string>} allowedHosts The allowed hosts, "*.example.com" allowing all sub-domains of example.com
+ * @returns {boolean} True if the host is allowed
+ */
+function isAllowedHost(host, allowedHosts) {
+  host = host.toLowerCase();
+  // Anything but a plain host name, such as a host with a port, is never allowed
+  if (!/^[a-z\d.-]+$/.test(host)) return false;
+  return allowedHosts.some(allowed => allowed.substr(0, 2) === "*." ?
+    host.endsWith(allowed.substr(1)) :
+    host === allowed);
+}
+
+/**
+ * Finds if the proxy is allowed to fetch feeds and pages from a host
+ * @param {string} host The host name
+ * @returns {boolean} True if the host is allowed
+ */
+function isAllowedFeedHost(host) {
+  return isAllowedHost(host, settings.allowedFeedHosts);
+}
+
+/**
+ * Gets the upstream URL of a proxy request, such as https://www.youtube.com/feeds/videos.xml for
+ * /feed/www.youtube.com/feeds/videos.xml. The host is checked once the URL is parsed, because that's the host that
+ * gets fetched: with a port, credentials, a query or a fragment, the text before the first / isn't the host of the URL.
+ * @param {string} proxiedPath The path of the request after the prefix of the proxy, starting with the host
+ * @param {function} isAllowedHost Checks the host
+ * @returns {URL} The upstream URL, or null if its host isn't allowed
+ */
+function getProxiedUrl(proxiedPath, isAllowedHost) {
+  const hostIndex = proxiedPath.indexOf("/");
+  if (hostIndex === -1) return null;
+  const host = proxiedPath.substr(0, hostIndex).toLowerCase();
+  let url;
+  try {
+    url = new URL(`https://${proxiedPath}`);
+  }
+  catch(e) {
+    return null;
+  }
+  return url.hostname === host && !url.port && isAllowedHost(url.hostname) ? url : null;
+}
+
+/**
+ * Gets the path of the cache file for an upstream URL
+ * @param {string} url The URL of the upstream resource
+ * @returns {string} The path of the cache file
+ */
+function getCachePath(url) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex");
+  return path.join(settings.feedCache.directory, `${hash}.json`);
+}
+
+/**
+ * Reads a cached upstream response
+ * @param {string} url The URL of the upstream resource
+ * @returns {Promise<{url: string, etag: string, lastModified: string, contentType: string, fetched: number, body: string}>} The cache entry, or null if there is none
+ */
+async function readCacheEntry(url) {
+  try {
+    return JSON.parse(await fs.promises.readFile(getCachePath(url), "utf8"));
+  }
+  catch(e) {
+    return null;
+  }
+}
+
+/**
+ * Writes a file through a temporary file that then replaces it, so that readers never see it half-written.
+ * Each write has its own temporary file, so that simultaneous writes of the same file don't mix.
+ * @param {string} file The path of the file
+ * @param {string|Buffer} data The content of the file
+ */
+async function writeFileAtomically(file, data) {
+  const tempPath = `${file}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, file);
+  }
+  catch(e) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Writes a cache entry, going through a temporary file so that readers never see a partial entry
+ * @param {{url: string, etag: string, lastModified: string, contentType: string, fetched: number, body: string}} entry The cache entry
+ */
+async function writeCacheEntry(entry) {
+  await writeFileAtomically(getCachePath(entry.url), JSON.stringify(entry));
+}
+
+/**
+ * Builds the caching headers sent to the browser for a cache entry
+ * @param {{etag: string, lastModified: string, contentType: string, fetched: number}} entry The cache entry
+ * @param {string} status The cache status, for debugging purposes: HIT, MISS or REVALIDATED
+ * @returns {object} The response headers
+ */
+function getCacheHeaders(entry, status) {
+  const age = Math.floor((Date.now() - entry.fetched) / 1000);
+  const headers = {
+    "Content-Type": entry.contentType || "application/rss+xml",
+    "Cache-Control": `private, max-age=${Math.max(settings.feedCache.ttl - age, 0)}`,
+    "X-Cache": status
+  };
+  if (entry.etag) headers["ETag"] = entry.etag;
+  if (entry.lastModified) headers["Last-Modified"] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Serves a cache entry, or a 304 if the browser already has it
+ * @param {{etag: string, lastModified: string, contentType: string, fetched: number, body: string}} entry The cache entry
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {string} status The cache status: HIT, MISS or REVALIDATED
+ */
+function serveCacheEntry(entry, req, res, status) {
+  const headers = getCacheHeaders(entry, status);
+  if ((entry.etag && req.headers["if-none-match"] === entry.etag) ||
+    (!entry.etag && entry.lastModified && req.headers["if-modified-since"] === entry.lastModified)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, headers);
+  res.end(entry.body);
+}
+
+/**
+ * Gets an upstream feed or page, from the cache if it's fresh enough,
+ * and revalidating it with the upstream server otherwise
+ * @param {string} url The URL of the upstream resource
+ * @param {function} beforeFetch An optional function called before the upstream server is contacted,
+ * that counts the fetch against the rate limit of the client
+ * @returns {Promise<{entry: object, status: string}>} The cache entry, and the cache status: HIT, MISS or REVALIDATED
+ */
+async function fetchFeed(url, beforeFetch) {
+  const entry = await readCacheEntry(url);
+  if (entry && Date.now() - entry.fetched < settings.feedCache.ttl * 1000) {
+    return { entry, status: "HIT" };
+  }
+  const headers = {};
+  if (entry) {
+    if (entry.etag) headers["If-None-Match"] = entry.etag;
+    if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+  }
+  if (beforeFetch) beforeFetch();
+  const upstream = await fetchUpstream(url, headers);
+  if (entry && upstream.status === 304) {
+    entry.fetched = Date.now();
+    await writeCacheEntry(entry);
+    return { entry, status: "REVALIDATED" };
+  }
+  if (upstream.status !== 200) {
+    throw new HttpError(502, `${new URL(url).hostname} answered ${upstream.status} ${upstream.statusMessage}.`);
+  }
+  const fresh = {
+    url,
+    etag: upstream.headers["etag"],
+    lastModified: upstream.headers["last-modified"],
+    contentType: upstream.headers["content-type"],
+    fetched: Date.now(),
+    body: upstream.body.toString("utf8")
+  };
+  try {
+    await writeCacheEntry(fresh);
+  }
+  catch(e) {
+    console.log(`${new Date().toTimeString()} Error caching ${url}: ${e}`);
+  }
+  return { entry: fresh, status: "MISS" };
+}
+
+/**
+ * Serves an upstream feed or page through the cache
+ * @param {string} url The URL of the upstream resource
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {{user: string}} client Who sent the request, whose rate limit counts the fetch if the cache can't answer
+ */
+async function serveFeed(url, req, res, client) {
+  const { entry, status } = await fetchFeed(url, () => checkRateLimit(req, res, client));
+  serveCacheEntry(entry, req, res, status);
+}
+
+// Image and asset caches
+
+// The image and asset caches, each with its settings, and an index of its files from least to most recently used:
+// the size of each file, by file name
+const imageCache = { settings: settings.imageCache, index: new Map(), size: 0 };
+const assetCache = { settings: settings.assets, index: new Map(), size: 0 };
+// Image and asset downloads in progress, by URL, so that simultaneous requests for the same resource share one download
+const pendingDownloads = new Map();
+
+// Images are only served with a raster type, as anything else could run scripts in the origin of the server:
+const imageTypes = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/avif", "image/x-icon", "image/vnd.microsoft.icon"];
+// Google Fonts picks the font format from the user agent, this one gets WOFF2:
+const assetUserAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0";
+
+/**
+ * Finds if the image proxy is allowed to fetch from a host
+ * @param {string} host The host name
+ * @returns {boolean} True if the host is allowed
+ */
+function isAllowedImageHost(host) {
+  return isAllowedHost(host, settings.allowedImageHosts);
+}
+
+/**
+ * Finds if a stylesheet or font can be fetched from a host
+ * @param {string} host The host name
+ * @returns {boolean} True if the host is allowed
+ */
+function isAllowedAssetHost(host) {
+  return isAllowedHost(host, settings.assets.allowedHosts);
+}
+
+/**
+ * Finds if a stylesheet or font URL can be fetched. Only stylesheets from Google Fonts have a query, that picks
+ * the fonts, as other queries would only store more copies of the same asset.
+ * @param {URL} url The URL of the asset
+ * @returns {boolean} True if the URL is allowed
+ */
+function isAllowedAssetUrl(url) {
+  if (url.hash) return false;
+  return !url.search || (url.hostname === "fonts.googleapis.com" && /^\/css2?$/.test(url.pathname) &&
+    [...url.searchParams.keys()].every(key => key === "family" || key === "display"));
+}
+
+/**
+ * Reads a stored response, made of a line of JSON with the content type, followed by the body
+ * @param {string} file The path of the file
+ * @returns {Promise<{url: string, contentType: string, body: Buffer}>} The stored response, or null if there is none
+ */
+async function readStoredResponse(file) {
+  try {
+    const data = await fs.promises.readFile(file);
+    const separator = data.indexOf("\n");
+    return Object.assign(JSON.parse(data.subarray(0, separator).toString("utf8")), { body: data.subarray(separator + 1) });
+  }
+  catch(e) {
+    return null;
+  }
+}
+
+/**
+ * Writes a stored response, going through a temporary file so that readers never see a partial response
+ * @param {string} file The path of the file
+ * @param {{url: string, contentType: string, body: Buffer}} stored The response
+ * @returns {Promise<number>} The size of the file
+ */
+async function writeStoredResponse(file, stored) {
+  const data = Buffer.concat([
+    Buffer.from(`${JSON.stringify({ url: stored.url, contentType: stored.contentType })}\n`, "utf8"),
+    stored.body
+  ]);
+  await writeFileAtomically(file, data);
+  return data.length;
+}
+
+/**
+ * Downloads an image or an asset, sharing the download with simultaneous requests for the same URL
+ * @param {string} url The URL of the upstream resource
+ * @param {object} headers The request headers
+ * @param {function} isAllowedHost Checks the hosts of redirects
+ * @param {Array<string>} types The content types that can be served, with a trailing / for all sub-types
+ * @returns {Promise<{url: string, contentType: string, body: Buffer}>} The response
+ */
+function download(url, headers, isAllowedHost, types) {
+  let pending = pendingDownloads.get(url);
+  if (!pending) {
+    pending = (async () => {
+      const upstream = await fetchUpstream(url, headers, isAllowedHost);
+      if (upstream.status !== 200) {
+        throw new HttpError(502, `${new URL(url).hostname} answered ${upstream.status} ${upstream.statusMessage}.`);
+      }
+      const contentType = (upstream.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+      if (!types.some(type => type.endsWith("/") ? contentType.startsWith(type) : contentType === type)) {
+        throw new HttpError(502, `${url} isn't of an allowed type, but ${contentType || "untyped"}.`);
+      }
+      return { url, contentType: upstream.headers["content-type"], body: upstream.body };
+    })()
+      .finally(() => pendingDownloads.delete(url));
+    pendingDownloads.set(url, pending);
+  }
+  return pending;
+}
+
+/**
+ * Serves a stored image or asset, or a 304 if the browser already has it. They never change, so browsers can keep them.
+ * @param {{contentType: string, body: Buffer}} stored The stored response
+ * @param {string} etag The entity tag of the response
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {string} status The cache status, for debugging purposes: HIT or MISS
+ */
+function serveStoredResponse(stored, etag, req, res, status) {
+  const headers = {
+    "Content-Type": stored.contentType,
+    "Cache-Control": "public, max-age=31536000, immutable",
+    "ETag": etag,
+    "X-Content-Type-Options": "nosniff",
+    "X-Cache": status
+  };
+  if (req.headers["if-none-match"] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, headers);
+  res.end(stored.body);
+}
+
+/**
+ * Builds the index of a cache from the files in its directory, the least recently used first
+ * @param {{settings: {directory: string, maxSize: number}, index: Map<string, number>, size: number}} cache The cache
+ */
+async function loadCacheIndex(cache) {
+  const directory = cache.settings.directory;
+  const files = [];
+  for (let name of await fs.promises.readdir(directory)) {
+    if (!/^[\da-f]{40}$/.test(name)) continue;
+    const stat = await fs.promises.stat(path.join(directory, name));
+    files.push({ name, size: stat.size, used: stat.mtimeMs });
+  }
+  files.sort((a, b) => a.used - b.used);
+  cache.index.clear();
+  cache.size = 0;
+  for (let file of files) {
+    cache.index.set(file.name, file.size);
+    cache.size += file.size;
+  }
+  await evictCachedFiles(cache);
+}
+
+/**
+ * Removes the least recently used files of a cache until it fits in its maximum size
+ * @param {{settings: {directory: string, maxSize: number}, index: Map<string, number>, size: number}} cache The cache
+ */
+async function evictCachedFiles(cache) {
+  for (let [name, size] of cache.index) {
+    if (cache.size <= cache.settings.maxSize) break;
+    cache.index.delete(name);
+    cache.size -= size;
+    await fs.promises.unlink(path.join(cache.settings.directory, name))
+      .catch(e => console.log(`${new Date().toTimeString()} Error evicting ${name} from ${cache.settings.directory}: ${e}`));
+  }
+}
+
+/**
+ * Serves a response from a cache, or downloads it and caches it. Downloads count against the rate limit of the client.
+ * @param {{settings: {directory: string, maxSize: number}, index: Map<string, number>, size: number}} cache The cache
+ * @param {string} url The URL of the upstream resource
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {{user: string}} client Who sent the request
+ * @param {function(): Promise<{url: string, contentType: string, body: Buffer}>} getResponse Downloads the resource
+ */
+async function serveCachedResponse(cache, url, req, res, client, getResponse) {
+  const name = crypto.createHash("sha1").update(url).digest("hex");
+  const file = path.join(cache.settings.directory, name);
+  const etag = `"${name}"`;
+  if (cache.index.has(name)) {
+    const stored = await readStoredResponse(file);
+    if (stored) {
+      // Move the file to the most recently used end of the index, on disk too so that the order survives restarts
+      const size = cache.index.get(name);
+      cache.index.delete(name);
+      cache.index.set(name, size);
+      const now = new Date();
+      fs.promises.utimes(file, now, now).catch(() => {});
+      serveStoredResponse(stored, etag, req, res, "HIT");
+      return;
+    }
+    cache.size -= cache.index.get(name);
+    cache.index.delete(name);
+  }
+  checkRateLimit(req, res, client);
+  const response = await getResponse();
+  try {
+    const size = await writeStoredResponse(file, response);
+    if (!cache.index.has(name)) {
+      cache.index.set(name, size);
+      cache.size += size;
+      await evictCachedFiles(cache);
+    }
+  }
+  catch(e) {
+    console.log(`${new Date().toTimeString()} Error caching ${url}: ${e}`);
+  }
+  serveStoredResponse(response, etag, req, res, "MISS");
+}
+
+/**
+ * Serves an image from the cache, or from its host, caching it
+ * @param {string} url The URL of the image
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {{user: string}} client Who sent the request
+ */
+async function serveImage(url, req, res, client) {
+  await serveCachedResponse(imageCache, url, req, res, client,
+    () => download(url, { "Accept": "image/*" }, isAllowedImageHost, imageTypes));
+}
+
+/**
+ * Serves a stylesheet or a font, fetching it from its host the first time. URLs of other assets in stylesheets
+ * are rewritten to also be served locally.
+ * @param {string} url The URL of the asset
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {{user: string}} client Who sent the request
+ */
+async function serveAsset(url, req, res, client) {
+  await serveCachedResponse(assetCache, url, req, res, client, async () => {
+    const asset = await download(url, { "User-Agent": assetUserAgent }, isAllowedAssetHost,
+      ["text/css", "font/", "application/font-woff", "application/font-woff2", "application/x-font-ttf"]);
+    if (asset.contentType.startsWith("text/css")) {
+      asset.body = Buffer.from(asset.body.toString("utf8").replace(/url\((['"]?)https:\/\/([^/'")]+)\//g,
+        (match, quote, host) => isAllowedAssetHost(host) ? `url(${quote}/assets/${host}/` : match), "utf8");
+    }
+    return asset;
+  });
+}
+
+// Static files
+
+// Compressed static files, by path and encoding, kept for as long as the file doesn't change:
+const compressedFiles = new Map();
+// Types worth compressing, the others being already compressed:
+const compressibleTypes = /^(text\/|image\/svg\+xml|application\/manifest\+json)/;
+// Static files smaller than this many bytes are sent as they are:
+const minCompressedSize = 1024;
+const compressors = {
+  br: util.promisify(zlib.brotliCompress),
+  gzip: util.promisify(zlib.gzip)
+};
+
+/**
+ * Picks the encoding of a response from the Accept-Encoding header of its request, brotli being preferred to gzip
+ * @param {string} header The Accept-Encoding header
+ * @returns {string} "br", "gzip", or null for no encoding
+ */
+function negotiateEncoding(header) {
+  const accepted = new Map((header || "").split(",").map(part => {
+    const [coding, ...parameters] = part.toLowerCase().split(";").map(item => item.trim());
+    const quality = parameters.find(parameter => parameter.startsWith("q="));
+    return [coding, quality ? parseFloat(quality.substr(2)) || 0 : 1];
+  }));
+  return Object.keys(compressors)
+    .find(coding => (accepted.has(coding) ? accepted.get(coding) : accepted.get("*") || 0) > 0) || null;
+}
+
+/**
+ * Finds the file a URL path maps to: one of the client files in the directory of the server,
+ * or a file in the public directory or one of its sub-directories.
+ * Paths with hidden or empty segments, or that could escape the public directory, don't map to anything.
+ * @param {string} pathname The path of the request URL
+ * @returns {{file: string, type: string}} The file and its content type, or null if the path isn't a static file path
+ */
+function getStaticFile(pathname) {
+  let segments;
+  try {
+    segments = decodeURIComponent(pathname).split("/").slice(1);
+  }
+  catch(e) {
+    return null;
+  }
+  if (segments.some(segment => !segment || segment[0] === "." || /[\\:\0]/.test(segment))) return null;
+  const name = segments[segments.length - 1];
+  const extension = name.substr(name.lastIndexOf(".") + 1);
+  if (!name.includes(".") || !Object.prototype.hasOwnProperty.call(settings.staticExtensions, extension)) return null;
+  const type = settings.staticExtensions[extension];
+  if (segments.length === 1) {
+    return settings.clientFiles.includes(name) ? { file: path.join(__dirname, name), type } : null;
+  }
+  if (segments[0] !== settings.publicDirectory) return null;
+  const root = path.join(__dirname, settings.publicDirectory);
+  const file = path.resolve(root, ...segments.slice(1));
+  if (!file.startsWith(root + path.sep)) return null;
+  return { file, type };
+}
+
+/**
+ * Compresses a static file, or gets it from the compressed files if it didn't change since it was compressed
+ * @param {string} file The path of the file
+ * @param {string} encoding "br" or "gzip"
+ * @param {string} etag The ETag of the current version of the file
+ * @returns {Promise<Buffer>} The compressed file
+ */
+async function compressFile(file, encoding, etag) {
+  const key = `${encoding}:${file}`;
+  const compressed = compressedFiles.get(key);
+  if (compressed && compressed.etag === etag) return compressed.body;
+  const body = await compressors[encoding](await fs.promises.readFile(file));
+  compressedFiles.set(key, { etag, body });
+  return body;
+}
+
+/**
+ * Serves a static file, compressed if the browser accepts it, or a 304 if the browser already has it.
+ * Browsers revalidate static files every time, as their URLs don't change with their content.
+ * @param {{file: string, type: string}} staticFile The file and its content type
+ * @param {http.IncomingMessage} req The request, GET or HEAD
+ * @param {http.ServerResponse} res The response
+ */
+async function serveStaticFile(staticFile, req, res) {
+  let stats = null;
+  try {
+    stats = await fs.promises.stat(staticFile.file);
+  }
+  catch(e) {
+    if (e.code !== "ENOENT" && e.code !== "ENOTDIR") throw e;
+  }
+  if (!stats || !stats.isFile()) {
+    sendNotFound(res);
+    return;
+  }
+  const compressible = compressibleTypes.test(staticFile.type) && stats.size >= minCompressedSize;
+  const encoding = compressible ? negotiateEncoding(req.headers["accept-encoding"]) : null;
+  const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${encoding ? `-${encoding}` : ""}"`;
+  const headers = {
+    "Content-Type": staticFile.type,
+    "Cache-Control": "no-cache",
+    "ETag": etag,
+    "Last-Modified": stats.mtime.toUTCString()
+  };
+  if (compressible) headers["Vary"] = "Accept-Encoding";
+  const ifNoneMatch = req.headers["if-none-match"];
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+  if (ifNoneMatch ?
+    ifNoneMatch.split(",").some(tag => tag.trim() === etag || tag.trim() === "*") :
+    Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  if (!encoding) {
+    headers["Content-Length"] = stats.size;
+    res.writeHead(200, headers);
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    fs.createReadStream(staticFile.file)
+      .on("error", e => serverError(res, e))
+      .pipe(res);
+    return;
+  }
+  const body = await compressFile(staticFile.file, encoding, etag);
+  headers["Content-Encoding"] = encoding;
+  headers["Content-Length"] = body.length;
+  res.writeHead(200, headers);
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+// Subscriptions
+
+/**
+ * Escapes a string for use in an XML attribute
+ * @param {string} value The string to escape
+ * @returns {string} The escaped string
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const attributePattern = /([\w:\-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parses the attributes of an XML tag
+ * @param {string} tag The text of the tag
+ * @returns {object} A dictionary of the un-escaped attribute values
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  for (let match of tag.matchAll(attributePattern)) {
+    attributes[match[1]] = feeds.unescapeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Sets the value of an attribute in the text of an XML tag, leaving the rest of the tag untouched
+ * @param {string} tag The text of the tag
+ * @param {string} name The name of the attribute
+ * @param {string} value The un-escaped value of the attribute
+ * @returns {string} The new text of the tag
+ */
+function setAttribute(tag, name, value) {
+  let found = false;
+  const result = tag.replace(attributePattern, (attr, attrName) => {
+    if (attrName !== name) return attr;
+    found = true;
+    return `${name}="${escapeXml(value)}"`;
+  });
+  return found ? result : result.replace(/\s*(\/?>)$/, ` ${name}="${escapeXml(value)}"$1`);
+}
+
+/**
+ * @typedef {object} OutlineNode
+ * @property {number} start The position of the start of the opening tag
+ * @property {number} tagEnd The position of the end of the opening tag
+ * @property {number} end The position of the end of the element
+ * @property {boolean} selfClosing Whether the element is a self-closing tag
+ * @property {object} attributes The attributes of the outline
+ * @property {Array<OutlineNode>} children The child outlines
+ */
+
+/**
+ * Scans the outlines of an OPML document without altering its text, so that it can be edited in place
+ * @param {string} opml The text of the OPML document
+ * @returns {{outlines: Array<OutlineNode>, bodyEnd: number}} The top-level outlines and the position of the closing body tag
+ */
+function scanOpml(opml) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<outline\b(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>|<\/outline\s*>/g;
+  for (let match of opml.matchAll(tagPattern)) {
+    if (match[0].substr(0, 4) === "<!--") continue;
+    const parent = stack[stack.length - 1];
+    if (match[0].substr(0, 2) === "</") {
+      if (stack.length === 1) throw new Error(`Unexpected </outline> at position ${match.index}.`);
+      parent.end = match.index + match[0].length;
+      stack.pop();
+      continue;
+    }
+    const node = {
+      start: match.index,
+      tagEnd: match.index + match[0].length,
+      selfClosing: match[1] === "/",
+      attributes: parseAttributes(match[0]),
+      children: []
+    };
+    parent.children.push(node);
+    if (node.selfClosing) {
+      node.end = node.tagEnd;
+    }
+    else {
+      stack.push(node);
+    }
+  }
+  if (stack.length !== 1) throw new Error("Unclosed <outline> element.");
+  const bodyEnd = opml.lastIndexOf("</body>");
+  if (bodyEnd === -1) throw new Error("The OPML document has no body.");
+  return { outlines: root.children, bodyEnd };
+}
+
+/**
+ * Enumerates the feed outlines of an OPML document, with the path of folders they're in
+ * @param {Array<OutlineNode>} outlines The outlines to enumerate
+ * @param {Array<string>} folder The path of the folder containing the outlines
+ */
+function* feedOutlines(outlines, folder = []) {
+  for (let outline of outlines) {
+    if (outline.attributes.xmlUrl) {
+      yield { outline, folder };
+    }
+    else {
+      yield* feedOutlines(outline.children, [...folder, outline.attributes.title || outline.attributes.text || ""]);
+    }
+  }
+}
+
+/**
+ * Gets the id of a subscription, which is its URL-encoded feed URL
+ * @param {string} url The URL of the feed
+ * @returns {string} The id
+ */
+function getSubscriptionId(url) {
+  return encodeURIComponent(url);
+}
+
+/**
+ * Maps a feed outline to the JSON representation of a subscription
+ * @param {{outline: OutlineNode, folder: Array<string>}} feed The feed outline and its folder
+ * @returns {{id: string, url: string, title: string, folder: Array<string>}} The subscription
+ */
+function toSubscription(feed) {
+  const attributes = feed.outline.attributes;
+  return {
+    id: getSubscriptionId(attributes.xmlUrl),
+    url: attributes.xmlUrl,
+    title: attributes.title || attributes.text || attributes.xmlUrl,
+    folder: feed.folder
+  };
+}
+
+/**
+ * Gets the whitespace that starts the line containing a position
+ * @param {string} text The text
+ * @param {number} position The position
+ * @returns {string} The indentation
+ */
+function getIndentation(text, position) {
+  const lineStart = text.lastIndexOf("\n", position - 1) + 1;
+  return /^[ \t]*/.exec(text.substring(lineStart))[0];
+}
+
+/**
+ * Guesses the unit of indentation of an OPML document from its first nested outline
+ * @param {string} opml The text of the OPML document
+ * @param {Array<OutlineNode>} outlines The top-level outlines
+ * @returns {string} The unit of indentation
+ */
+function getIndentationUnit(opml, outlines) {
+  const parent = outlines.find(o => o.children.length > 0);
+  if (parent) {
+    const parentIndentation = getIndentation(opml, parent.start);
+    const childIndentation = getIndentation(opml, parent.children[0].start);
+    if (childIndentation.length > parentIndentation.length && childIndentation.startsWith(parentIndentation)) {
+      return childIndentation.substring(parentIndentation.length);
+    }
+  }
+  return "  ";
+}
+
+/**
+ * Removes a range of text, along with the rest of the line if it's left blank
+ * @param {string} text The text
+ * @param {number} start The start of the range to remove
+ * @param {number} end The end of the range to remove
+ * @returns {string} The text without the range
+ */
+function removeLines(text, start, end) {
+  const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+  const newLine = /^[ \t]*\r?\n/.exec(text.substring(end));
+  if (/^[ \t]*$/.test(text.substring(lineStart, start)) && newLine) {
+    return text.substring(0, lineStart) + text.substring(end + newLine[0].length);
+  }
+  return text.substring(0, start) + text.substring(end);
+}
+
+/**
+ * Inserts an outline as the last child of a folder, creating the folders along the path as needed,
+ * and using the same indentation and line endings as the rest of the document
+ * @param {string} opml The text of the OPML document
+ * @param {Array<string>} folder The path of the folder
+ * @param {string} outline The text of the outline element to insert
+ * @returns {string} The new text of the document
+ */
+function insertOutline(opml, folder, outline) {
+  const eol = opml.indexOf("\r\n") !== -1 ? "\r\n" : "\n";
+  const scan = scanOpml(opml);
+  const unit = getIndentationUnit(opml, scan.outlines);
+  let container = null;
+  let children = scan.outlines;
+  let depth = 0;
+  for (; depth < folder.length; depth++) {
+    const name = folder[depth];
+    const subFolder = children.find(o => !o.attributes.xmlUrl && (o.attributes.title || o.attributes.text) === name);
+    if (!subFolder) break;
+    container = subFolder;
+    children = subFolder.children;
+  }
+  // Wrap the outline into the folders that don't exist yet
+  for (let i = folder.length - 1; i >= depth; i--) {
+    const name = escapeXml(folder[i]);
+    outline = `<outline text="${name}" title="${name}">${eol}${unit}${outline.split(eol).join(`${eol}${unit}`)}${eol}</outline>`;
+  }
+  const containerStart = container ? container.start : opml.lastIndexOf("<body", scan.bodyEnd);
+  const parentIndentation = getIndentation(opml, containerStart);
+  const indentation = children.length > 0 ?
+    getIndentation(opml, children[children.length - 1].start) :
+    parentIndentation + unit;
+  const indented = indentation + outline.split(eol).join(`${eol}${indentation}`);
+  if (container && container.selfClosing) {
+    const openingTag = opml.substring(container.start, container.tagEnd).replace(/\s*\/>$/, ">");
+    return opml.substring(0, container.start) + openingTag + eol + indented + eol + parentIndentation + "</outline>" + opml.substring(container.end);
+  }
+  const closingStart = container ? opml.lastIndexOf("</outline", container.end) : scan.bodyEnd;
+  const lineStart = opml.lastIndexOf("\n", closingStart - 1) + 1;
+  if (/^[ \t]*$/.test(opml.substring(lineStart, closingStart))) {
+    return opml.substring(0, lineStart) + indented + eol + opml.substring(lineStart);
+  }
+  return opml.substring(0, closingStart) + eol + indented + eol + parentIndentation + opml.substring(closingStart);
+}
+
+const emptyOpml = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="1.1">
+  <head>
+    <title>TUBULAR-9000 subscriptions</title>
+  </head>
+  <body>
+  </body>
+</opml>
+`;
+
+/**
+ * Reads a subscriptions file
+ * @param {string} file The path of the file
+ * @returns {Promise<string>} The text of the OPML document
+ */
+async function readOpml(file) {
+  try {
+    return await fs.promises.readFile(file, "utf8");
+  }
+  catch(e) {
+    if (e.code === "ENOENT") return emptyOpml;
+    throw e;
+  }
+}
+
+/**
+ * Writes a subscriptions file, going through a temporary file so that it's never left half-written
+ * @param {string} file The path of the file
+ * @param {string} opml The text of the OPML document
+ */
+async function writeOpml(file, opml) {
+  await writeFileAtomically(file, opml);
+}
+
+// The last pending edit, by file
+const editQueues = new Map();
+
+/**
+ * Runs the edits of a file one at a time, so that each edit reads what the previous one wrote
+ * @param {string} file The path of the file
+ * @param {function} task The async function that reads and writes the file
+ * @returns {Promise<*>} The result of the task
+ */
+function queueEdit(file, task) {
+  const result = (editQueues.get(file) || Promise.resolve()).then(task);
+  const queued = result.catch(() => {});
+  editQueues.set(file, queued);
+  queued.then(() => {
+    if (editQueues.get(file) === queued) editQueues.delete(file);
+  });
+  return result;
+}
+
+/**
+ * @callback opmlEdit
+ * @param {string} opml The current text of the OPML document
+ * @returns {{opml: string, result: *}} The new text of the document and the result of the edit
+ */
+
+/**
+ * Applies an edit to a subscriptions file, one edit at a time
+ * @param {string} file The path of the file
+ * @param {opmlEdit} edit The edit to apply
+ * @returns {Promise<*>} The result of the edit
+ */
+function editOpml(file, edit) {
+  return queueEdit(file, async () => {
+    const edited = edit(await readOpml(file));
+    await writeOpml(file, edited.opml);
+    return edited.result;
+  });
+}
+
+/**
+ * Validates and normalizes a folder path from a request
+ * @param {string|Array<string>} folder The folder, as a single name or a path
+ * @returns {Array<string>} The folder path
+ */
+function getFolderPath(folder) {
+  if (folder === undefined || folder === null || folder === "") return [];
+  const folderPath = Array.isArray(folder) ? folder : [folder];
+  if (!folderPath.every(name => typeof(name) === "string" && name.trim())) {
+    throw new HttpError(400, "The folder must be a name or an array of names.");
+  }
+  return folderPath.map(name => name.trim());
+}
+
+/**
+ * Finds a feed outline by feed URL
+ * @param {string} opml The text of the OPML document
+ * @param {string} url The feed URL, decoded from the subscription id
+ * @returns {{outline: OutlineNode, folder: Array<string>}} The feed outline and its folder
+ */
+function findFeed(opml, url) {
+  const feed = [...feedOutlines(scanOpml(opml).outlines)]
+    .find(f => f.outline.attributes.xmlUrl === url);
+  if (!feed) throw new HttpError(404, "Subscription !found.");
+  return feed;
+}
+
+/**
+ * Adds a subscription
+ * @param {{subscriptions: string}} profile The profile
+ * @param {{url: string, title: string, folder: string|Array<string>}} body The subscription to add
+ * @returns {Promise<object>} The added subscription
+ */
+async function addSubscription(profile, body) {
+  let url;
+  try {
+    url = new URL(body.url);
+  }
+  catch(e) {
+    throw new HttpError(400, "The feed URL is invalid.");
+  }
+  if (url.protocol !== "https:") throw new HttpError(400, "The feed URL must use https.");
+  const title = typeof(body.title) === "string" && body.title.trim() ? body.title.trim() : url.href;
+  const folder = getFolderPath(body.folder);
+  return await editOpml(profile.subscriptions, opml => {
+    const existing = [...feedOutlines(scanOpml(opml).outlines)].find(f => f.outline.attributes.xmlUrl === url.href);
+    if (existing) throw new HttpError(409, `Already subscribed to ${url.href} as ${toSubscription(existing).title}.`);
+    const outline = `<outline text="${escapeXml(title)}" title="${escapeXml(title)}" type="rss" xmlUrl="${escapeXml(url.href)}" />`;
+    return {
+      opml: insertOutline(opml, folder, outline),
+      result: { id: getSubscriptionId(url.href), url: url.href, title, folder }
+    };
+  });
+}
+
+/**
+ * Removes a subscription
+ * @param {{subscriptions: string}} profile The profile
+ * @param {string} url The feed URL of the subscription, decoded from its id
+ * @returns {Promise<object>} The removed subscription
+ */
+async function removeSubscription(profile, url) {
+  return await editOpml(profile.subscriptions, opml => {
+    const feed = findFeed(opml, url);
+    return {
+      opml: removeLines(opml, feed.outline.start, feed.outline.end),
+      result: toSubscription(feed)
+    };
+  });
+}
+
+/**
+ * Renames a subscription and/or moves it to another folder
+ * @param {{subscriptions: string}} profile The profile
+ * @param {string} url The feed URL of the subscription, decoded from its id
+ * @param {{title: string, folder: string|Array<string>}} body The changes
+ * @returns {Promise<object>} The updated subscription
+ */
+async function updateSubscription(profile, url, body) {
+  if (body.title !== undefined && (typeof(body.title) !== "string" || !body.title.trim())) {
+    throw new HttpError(400, "The title must be a non-empty string.");
+  }
+  const folder = body.folder !== undefined ? getFolderPath(body.folder) : undefined;
+  return await editOpml(profile.subscriptions, opml => {
+    const feed = findFeed(opml, url);
+    const outline = feed.outline;
+    let tag = opml.substring(outline.start, outline.tagEnd);
+    if (body.title !== undefined) {
+      tag = setAttribute(setAttribute(tag, "text", body.title.trim()), "title", body.title.trim());
+    }
+    const element = tag + opml.substring(outline.tagEnd, outline.end);
+    const moving = folder && folder.join("\n") !== feed.folder.join("\n");
+    const edited = moving ?
+      insertOutline(removeLines(opml, outline.start, outline.end), folder, element) :
+      opml.substring(0, outline.start) + element + opml.substring(outline.end);
+    return {
+      opml: edited,
+      result: toSubscription({ outline: { attributes: parseAttributes(tag) }, folder: moving ? folder : feed.folder })
+    };
+  });
+}
+
+/**
+ * Reads and parses the JSON body of a request
+ * @param {http.IncomingMessage} req The request
+ * @param {number} maxSize The maximum size in bytes of the body
+ * @returns {Promise<object>} The parsed body
+ */
+function readJsonBody(req, maxSize = settings.maxRequestBodySize) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = new HttpError(413, "The request body is too large.");
+    if (Number(req.headers["content-length"]) > maxSize) {
+      reject(tooLarge);
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    // The rest of a body that's too large is read and dropped, as closing the connection would lose the response
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        chunks.length = 0;
+        reject(tooLarge);
         return;
       }
-      // Static files
-      const extPos = req.url.lastIndexOf('.');
-      if (extPos !== -1) {
-        const ext = req.url.substr(extPos + 1);
-        if (ext) {
-          const mime = settings.staticExtensions[ext];
-          if (mime) {
-            const fileName = req.url.substr(1, extPos - 1);
-            if (fileName && /^[\w\d\-]+$/.test(fileName)) {
-              res.writeHead(200, {
-                "Content-Type": mime
-              });
-              fs.createReadStream(`${fileName}.${ext}`).pipe(res);
-              return;
-            }
-          }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > maxSize) return;
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+        if (!body || typeof(body) !== "object") throw new Error();
+        resolve(body);
+      }
+      catch(e) {
+        reject(new HttpError(400, "The request body must be a JSON object."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Handles the subscription management API
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {{subscriptions: string}} profile The profile
+ * @param {{user: string}} client Who sent the request, as lookups fetch pages through the proxy and are rate limited
+ */
+async function handleSubscriptionsApi(req, res, profile, client) {
+  const [pathname, query] = req.url.split(/\?(.*)/s);
+  if (pathname === "/subscriptions" && req.method === "POST") {
+    sendJson(res, 201, await addSubscription(profile, await readJsonBody(req)));
+    return;
+  }
+  if (pathname === "/subscriptions/resolve" && req.method === "GET") {
+    checkRateLimit(req, res, client);
+    sendJson(res, 200, await resolveSubscription(new URLSearchParams(query || "").get("q")));
+    return;
+  }
+  // The id is compared once decoded, as clients don't all encode URLs the same way
+  let url;
+  try {
+    url = decodeURIComponent(pathname.substr("/subscriptions/".length));
+  }
+  catch(e) {
+    throw new HttpError(404, "Subscription !found.");
+  }
+  if (req.method === "DELETE") {
+    sendJson(res, 200, await removeSubscription(profile, url));
+    return;
+  }
+  if (req.method === "PATCH") {
+    sendJson(res, 200, await updateSubscription(profile, url, await readJsonBody(req)));
+    return;
+  }
+  throw new HttpError(405, `${req.method} is not supported on ${req.url}.`);
+}
+
+// User state
+
+/**
+ * Gets the path of the file where the state of a profile is kept, for one user when there's authentication
+ * @param {{name: string}} profile The profile
+ * @param {string} user The user, or null without authentication
+ * @returns {string} The path of the file
+ */
+function getStatePath(profile, user) {
+  const name = profile.name ? `profile-${encodeURIComponent(profile.name)}.json` : "default.json";
+  // Dots are encoded too, so that the one after the user separates it from the profile, that has none
+  return path.join(settings.state.directory, user ? `user-${encodeURIComponent(user).replace(/\./g, "%2E")}.${name}` : name);
+}
+
+/**
+ * Reads the state of a profile
+ * @param {string} file The path of the file where the state is kept
+ * @returns {Promise<{version: number, updated: string, state: object}>} The state and its version, that's 0 if it
+ * was never written
+ */
+async function readState(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  }
+  catch(e) {
+    if (e.code === "ENOENT") return { version: 0, updated: null, state: {} };
+    throw e;
+  }
+}
+
+/**
+ * Writes the state of a profile, going through a temporary file so that it's never left half-written
+ * @param {string} file The path of the file where the state is kept
+ * @param {{version: number, updated: string, state: object}} stored The state and its version
+ */
+async function writeState(file, stored) {
+  await writeFileAtomically(file, JSON.stringify(stored));
+}
+
+/**
+ * Gets the ETag of a version of the state
+ * @param {number} version The version
+ * @returns {string} The ETag
+ */
+function getStateEtag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Finds if an If-Match header matches a version of the state
+ * @param {string} header The If-Match header
+ * @param {number} version The current version of the state, 0 if it was never written
+ * @returns {boolean} True if the header has the ETag of the version, or * and the state exists
+ */
+function matchesStateVersion(header, version) {
+  return header.split(",").some(etag => {
+    etag = etag.trim();
+    return etag === getStateEtag(version) || (etag === "*" && version > 0);
+  });
+}
+
+/**
+ * Handles the state API: GET reads the state of the profile with its ETag, and PUT replaces it if its If-Match
+ * header has the ETag of the current version, so that clients don't overwrite changes they haven't seen
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {{name: string}} profile The profile
+ * @param {{user: string}} client Who sent the request, as each user has their own state
+ */
+async function handleStateApi(req, res, profile, client) {
+  const file = getStatePath(profile, client.user);
+  if (req.method === "GET" || req.method === "HEAD") {
+    const stored = await readState(file);
+    const headers = {
+      "ETag": getStateEtag(stored.version),
+      "Cache-Control": "no-cache"
+    };
+    if (req.headers["if-none-match"] === headers["ETag"]) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+    res.writeHead(200, Object.assign({ "Content-Type": "application/json" }, headers));
+    res.end(req.method === "HEAD" ? undefined : JSON.stringify(stored.state));
+    return;
+  }
+  if (req.method === "PUT") {
+    const ifMatch = req.headers["if-match"];
+    if (!ifMatch) {
+      throw new HttpError(428, "Replacing the state requires an If-Match header with the ETag of the version it replaces.");
+    }
+    const state = await readJsonBody(req, settings.state.maxSize);
+    const version = await queueEdit(file, async () => {
+      const stored = await readState(file);
+      if (!matchesStateVersion(ifMatch, stored.version)) {
+        throw new HttpError(412, "The state changed since it was read, read it again and merge the changes.");
+      }
+      await writeState(file, { version: stored.version + 1, updated: new Date().toISOString(), state });
+      return stored.version + 1;
+    });
+    res.setHeader("ETag", getStateEtag(version));
+    sendJson(res, 200, state);
+    return;
+  }
+  throw new HttpError(405, `${req.method} is not supported on ${req.url}.`);
+}
+
+// XML parsing
+
+/**
+ * An element of a parsed XML document, with the part of the DOM interface that feed parsing uses
+ */
+class XmlElement {
+  /**
+   * @param {string} name The qualified name of the element
+   * @param {object} attributes The un-escaped attribute values, by qualified name
+   * @param {XmlElement} parent The parent element, or null for the document element
+   */
+  constructor(name, attributes, parent) {
+    this.name = name;
+    this.attributes = attributes;
+    this.children = [];
+    this.childNodes = [];
+    this.prefixes = Object.assign(Object.create(null), parent ? parent.prefixes : { xml: "http://www.w3.org/XML/1998/namespace" });
+    for (let [attribute, value] of Object.entries(attributes)) {
+      if (attribute === "xmlns") this.prefixes[""] = value;
+      else if (attribute.startsWith("xmlns:")) this.prefixes[attribute.substr(6)] = value;
+    }
+    const colon = name.indexOf(":");
+    this.localName = colon === -1 ? name : name.substr(colon + 1);
+    this.namespaceURI = this.prefixes[colon === -1 ? "" : name.substr(0, colon)] || null;
+  }
+
+  /**
+   * Gets the value of an attribute
+   * @param {string} name The qualified name of the attribute
+   * @returns {string} The value, or null if the element doesn't have the attribute
+   */
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  /**
+   * The text of the element and of its descendants
+   * @type {string}
+   */
+  get textContent() {
+    return this.childNodes.map(node => typeof(node) === "string" ? node : node.textContent).join("");
+  }
+}
+
+// CDATA sections, comments, processing instructions, document type declarations, end tags, start tags and text:
+const xmlTokenPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/y;
+
+/**
+ * Parses an XML document, well enough for feeds. Entities other than the predefined and numeric ones are left as they are.
+ * @param {string} text The text of the document
+ * @returns {{documentElement: XmlElement}} The document
+ */
+function parseXml(text) {
+  const root = { children: [], childNodes: [] };
+  const stack = [root];
+  const tokens = new RegExp(xmlTokenPattern);
+  while (tokens.lastIndex < text.length) {
+    const position = tokens.lastIndex;
+    const match = tokens.exec(text);
+    if (!match) throw new Error(`Unexpected markup at position ${position}.`);
+    const [, cdata, endName, startName, attributes, selfClosing, chars] = match;
+    const parent = stack[stack.length - 1];
+    if (cdata !== undefined || chars !== undefined) {
+      // Text outside of the document element can only be whitespace
+      if (parent !== root) parent.childNodes.push(cdata !== undefined ? cdata : feeds.unescapeXml(chars));
+    }
+    else if (endName) {
+      if (endName !== parent.name) throw new Error(`Unexpected </${endName}> at position ${position}.`);
+      stack.pop();
+    }
+    else if (startName) {
+      const element = new XmlElement(startName, parseAttributes(attributes), parent === root ? null : parent);
+      parent.children.push(element);
+      parent.childNodes.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  if (stack.length !== 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}> element.`);
+  if (root.children.length !== 1) throw new Error("The document must have one root element.");
+  return { documentElement: root.children[0] };
+}
+
+// Merged feeds
+
+/**
+ * Parses the filters of a merged feed from its query string
+ * @param {URLSearchParams} query The query string, with any number of folder parameters for the path of a folder,
+ * any number of subscription parameters for feed URLs or subscription ids, q for words to search, since for a date,
+ * and limit for a number of postings
+ * @returns {{folder: Array<string>, subscriptions: Array<string>, words: Array<string>, since: Date, limit: number}} The filters
+ */
+function parseMergedFeedQuery(query) {
+  const since = query.get("since") ? new Date(query.get("since")) : null;
+  if (since && isNaN(since)) throw new HttpError(400, "The since parameter must be a date.");
+  const limit = query.get("limit") ? Number(query.get("limit")) : settings.mergedFeed.limit;
+  if (!Number.isInteger(limit) || limit < 1) throw new HttpError(400, "The limit parameter must be a positive integer.");
+  return {
+    folder: getFolderPath(query.getAll("folder")),
+    subscriptions: query.getAll("subscription"),
+    words: (query.get("q") || "").toLowerCase().split(/\s+/).filter(word => word),
+    since,
+    limit: Math.min(limit, settings.mergedFeed.maxLimit)
+  };
+}
+
+/**
+ * Gets the postings of the subscriptions of a profile, newest first, fetching their feeds through the cache.
+ * Feeds that can't be fetched or parsed are left out, so that one broken subscription doesn't break the rest,
+ * and so are the ones that need fetching once the client is over its rate limit.
+ * @param {{subscriptions: string}} profile The profile
+ * @param {{folder: Array<string>, subscriptions: Array<string>, words: Array<string>, since: Date, limit: number}} filters
+ * The filters of the postings
+ * @param {function} beforeFetch Called before a feed is fetched from its server, to count it against the rate limit
+ * @returns {Promise<Array<object>>} The postings, with the subscription they're from
+ */
+async function getMergedPostings(profile, filters, beforeFetch) {
+  const subscriptions = [...feedOutlines(scanOpml(await readOpml(profile.subscriptions)).outlines)]
+    .map(toSubscription)
+    .filter(sub => filters.folder.every((name, index) => sub.folder[index] === name) &&
+      (!filters.subscriptions.length || filters.subscriptions.some(filter => filter === sub.url || filter === sub.id)));
+  const postingLists = await Promise.all(subscriptions.map(async sub => {
+    try {
+      const url = new URL(sub.url);
+      if (url.protocol !== "https:" || !isAllowedFeedHost(url.host)) {
+        throw new Error(`${url.host} isn't an allowed feed host.`);
+      }
+      const { entry } = await fetchFeed(url.href, beforeFetch);
+      const feed = feeds.parseFeed(parseXml(entry.body), sub);
+      sub.pageUrl = feed.pageUrl;
+      return feed.postings;
+    }
+    catch(e) {
+      console.log(`${new Date().toTimeString()} Error merging ${sub.url}: ${e.message}`);
+      return [];
+    }
+  }));
+  return postingLists.flat()
+    .filter(posting => (!filters.since || posting.published >= filters.since) &&
+      filters.words.every(word => `${posting.title}\n${posting.description}`.toLowerCase().includes(word)))
+    .sort((a, b) => (b.published || 0) - (a.published || 0))
+    .slice(0, filters.limit);
+}
+
+/**
+ * Gets a globally unique id for a posting of a merged feed, as ids only have to be unique within their own feed
+ * @param {object} posting The posting
+ * @returns {string} The id of the posting if it's already a URI, or one built from the feed URL otherwise
+ */
+function getMergedPostingId(posting) {
+  return /^[a-z][\w+.-]*:/i.test(posting.id) ? posting.id : `${posting.subscription.url}#${encodeURIComponent(posting.id)}`;
+}
+
+/**
+ * Writes a merged feed as Atom
+ * @param {{title: string, homePageUrl: string, feedUrl: string, updated: Date, postings: Array<object>}} feed The feed
+ * @returns {string} The Atom document
+ */
+function writeAtomFeed(feed) {
+  const entries = feed.postings.map(posting => {
+    const sub = posting.subscription;
+    const lines = [
+      `    <id>${escapeXml(getMergedPostingId(posting))}</id>`,
+      `    <title>${escapeXml(posting.title)}</title>`,
+      `    <updated>${(posting.updated || posting.published || feed.updated).toISOString()}</updated>`
+    ];
+    if (posting.published) lines.push(`    <published>${posting.published.toISOString()}</published>`);
+    if (posting.url) lines.push(`    <link rel="alternate" href="${escapeXml(posting.url)}"/>`);
+    if (posting.media && (posting.player === "video" || posting.player === "audio")) {
+      lines.push(`    <link rel="enclosure" href="${escapeXml(posting.media.url)}"${posting.media.type ? ` type="${escapeXml(posting.media.type)}"` : ""}/>`);
+    }
+    lines.push(`    <author><name>${escapeXml(sub.title)}</name>${sub.pageUrl ? `<uri>${escapeXml(sub.pageUrl)}</uri>` : ""}</author>`);
+    if (sub.folder.length) lines.push(`    <category term="${escapeXml(sub.folder.join("/"))}"/>`);
+    if (posting.description) lines.push(`    <summary type="text">${escapeXml(posting.description)}</summary>`);
+    if (posting.thumbnail) lines.push(`    <media:thumbnail url="${escapeXml(posting.thumbnail.url)}"/>`);
+    lines.push(`    <source><id>${escapeXml(sub.url)}</id><title>${escapeXml(sub.title)}</title><link rel="self" href="${escapeXml(sub.url)}"/></source>`);
+    return `  <entry>\n${lines.join("\n")}\n  </entry>\n`;
+  });
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="${feeds.namespaces.atom}" xmlns:media="${feeds.namespaces.media}">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <updated>${feed.updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePageUrl)}"/>
+  <icon>${escapeXml(new URL("tubular.png", feed.homePageUrl).href)}</icon>
+  <generator>TUBULAR-9000</generator>
+${entries.join("")}</feed>
+`;
+}
+
+/**
+ * Writes a merged feed as JSON Feed 1.1
+ * @param {{title: string, homePageUrl: string, feedUrl: string, updated: Date, postings: Array<object>}} feed The feed
+ * @returns {string} The JSON Feed document
+ */
+function writeJsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homePageUrl,
+    feed_url: feed.feedUrl,
+    icon: new URL("tubular.png", feed.homePageUrl).href,
+    favicon: new URL("favicon-32x32.png", feed.homePageUrl).href,
+    items: feed.postings.map(posting => {
+      const sub = posting.subscription;
+      return {
+        id: getMergedPostingId(posting),
+        url: posting.url,
+        title: posting.title,
+        content_text: posting.description || "",
+        image: posting.thumbnail ? posting.thumbnail.url : undefined,
+        date_published: posting.published ? posting.published.toISOString() : undefined,
+        date_modified: posting.updated ? posting.updated.toISOString() : undefined,
+        authors: [{ name: sub.title, url: sub.pageUrl }],
+        tags: sub.folder.length ? [sub.folder.join("/")] : undefined,
+        attachments: posting.media && posting.media.type && (posting.player === "video" || posting.player === "audio") ?
+          [{ url: posting.media.url, mime_type: posting.media.type }] :
+          undefined,
+        // Extensions start with an underscore:
+        _tubular: {
+          subscription: sub.url,
+          player: posting.player,
+          views: posting.views,
+          star_rating: posting.starRating
         }
+      };
+    })
+  });
+}
+
+/**
+ * Gets the URL the server is reached at, from the settings, or else from the request. Behind a reverse proxy,
+ * the X-Forwarded-Proto header tells if the browser used https.
+ * @param {http.IncomingMessage} req The request
+ * @returns {string} The URL, with a trailing slash
+ */
+function getPublicUrl(req) {
+  if (settings.publicUrl) return settings.publicUrl;
+  const scheme = (req.headers["x-forwarded-proto"] || "").split(",")[0].trim().toLowerCase() === "https" ? "https" : "http";
+  return `${scheme}://${req.headers["host"] || `${settings.hostname}:${settings.port}`}/`;
+}
+
+/**
+ * Serves the merged timeline of the subscriptions of a profile as Atom or JSON Feed
+ * @param {http.IncomingMessage} req The request, for /all.atom or /all.json
+ * @param {http.ServerResponse} res The response
+ * @param {{name: string, subscriptions: string}} profile The profile
+ * @param {{user: string}} client Who sent the request, whose rate limit counts the feeds fetched upstream
+ * @param {string} format "atom" or "json"
+ */
+async function serveMergedFeed(req, res, profile, client, format) {
+  const query = new URLSearchParams(req.url.split(/\?(.*)/s)[1] || "");
+  const filters = parseMergedFeedQuery(query);
+  const postings = await getMergedPostings(profile, filters, () => checkRateLimit(req, null, client));
+  const homePageUrl = new URL(profile.name ? `p/${profile.name}/` : "", getPublicUrl(req)).href;
+  const feed = {
+    title: ["TUBULAR-9000", profile.name, ...filters.folder].filter(part => part).join(" - "),
+    homePageUrl,
+    feedUrl: new URL(req.url.substr(1), homePageUrl).href,
+    updated: postings.reduce((latest, posting) => posting.published > latest ? posting.published : latest, new Date(0)),
+    postings
+  };
+  const body = format === "atom" ? writeAtomFeed(feed) : writeJsonFeed(feed);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("hex")}"`;
+  const headers = {
+    "Content-Type": format === "atom" ? "application/atom+xml; charset=utf-8" : "application/feed+json; charset=utf-8",
+    "Cache-Control": "private, no-cache",
+    "ETag": etag
+  };
+  if (req.headers["if-none-match"] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, headers);
+  res.end(body);
+}
+
+// Subscription lookup
+
+// Hosts of YouTube channel and video pages, that get resolved to the feed of their channel:
+const youTubeHosts = ["youtube.com", "www.youtube.com", "m.youtube.com", "music.youtube.com", "youtu.be"];
+const channelIdPattern = /UC[\w-]{22}/;
+
+/**
+ * Turns what the user typed into the URL of a page or feed
+ * @param {string} query A channel, video or feed URL, a @handle or a channel id
+ * @returns {URL} The URL, with YouTube URLs normalized to www.youtube.com
+ */
+function parseSubscriptionQuery(query) {
+  query = (query || "").trim();
+  if (!query) throw new HttpError(400, "A channel URL, @handle, video link or feed URL is required.");
+  if (/^@[\w.\-]+$/.test(query)) return new URL(`https://www.youtube.com/${query}`);
+  if (new RegExp(`^${channelIdPattern.source}$`).test(query)) return new URL(`https://www.youtube.com/channel/${query}`);
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(query) ? query : `https://${query}`);
+  }
+  catch(e) {
+    throw new HttpError(400, `${query} isn't a URL, a @handle or a channel id.`);
+  }
+  url.protocol = "https:";
+  url.hash = "";
+  if (url.hostname === "youtu.be") {
+    return new URL(`https://www.youtube.com/watch?v=${encodeURIComponent(url.pathname.substr(1))}`);
+  }
+  if (youTubeHosts.includes(url.hostname)) {
+    url.host = "www.youtube.com";
+  }
+  return url;
+}
+
+/**
+ * Fetches a page or feed through the proxy, for a subscription lookup
+ * @param {URL} url The URL of the page or feed
+ * @returns {Promise<string>} The text of the page or feed
+ */
+async function fetchLookupPage(url) {
+  if (!isAllowedFeedHost(url.host)) throw new HttpError(400, `${url.host} isn't an allowed feed host.`);
+  const upstream = await fetchUpstream(url.href, { "Accept-Language": "en" });
+  if (upstream.status === 404) throw new HttpError(404, `${url.href} doesn't exist.`);
+  if (upstream.status !== 200) {
+    throw new HttpError(502, `${url.hostname} answered ${upstream.status} ${upstream.statusMessage}.`);
+  }
+  return upstream.body.toString("utf8");
+}
+
+/**
+ * Finds the content of a meta or link tag in an HTML page
+ * @param {string} html The page
+ * @param {string} attribute The attribute that identifies the tag, such as "property" or "rel"
+ * @param {string} value The value of that attribute, such as "og:title" or "image_src"
+ * @returns {string} The content or href of the tag, or undefined if there's no such tag
+ */
+function findPageMetadata(html, attribute, value) {
+  for (let match of html.matchAll(/<(meta|link)\b[^>]*>/gi)) {
+    const attributes = parseAttributes(match[0]);
+    if (attributes[attribute] === value) return attributes.content || attributes.href;
+  }
+}
+
+/**
+ * Finds the id of the channel a YouTube page is from
+ * @param {URL} url The URL of the page
+ * @param {string} html The page, or null if it wasn't fetched
+ * @returns {string} The channel id, or undefined if it can't be found
+ */
+function findChannelId(url, html) {
+  const fromPath = new RegExp(`^/channel/(${channelIdPattern.source})`).exec(url.pathname);
+  if (fromPath) return fromPath[1];
+  if (html === null) return undefined;
+  const candidates = [
+    findPageMetadata(html, "rel", "canonical"),
+    findPageMetadata(html, "itemprop", "channelId"),
+    (new RegExp(`"externalId":"(${channelIdPattern.source})"`).exec(html) || [])[1],
+    (new RegExp(`"channelId":"(${channelIdPattern.source})"`).exec(html) || [])[1]
+  ];
+  for (let candidate of candidates) {
+    const match = candidate && channelIdPattern.exec(candidate);
+    if (match) return match[0];
+  }
+}
+
+/**
+ * Resolves a channel URL, @handle, custom URL, video link or feed URL to a feed the user can subscribe to
+ * @param {string} query What the user typed
+ * @returns {Promise<{url: string, title: string, icon: string, pageUrl: string}>} The URL and title of the feed,
+ * and the icon and page of the channel for YouTube
+ */
+async function resolveSubscription(query) {
+  const url = parseSubscriptionQuery(query);
+  if (!youTubeHosts.includes(url.hostname) || url.pathname === "/feeds/videos.xml") {
+    // Anything else than a YouTube page has to be a feed already
+    const feed = await fetchLookupPage(url);
+    if (!/^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<\?[\s\S]*?\?>\s*)*<(rss|feed|rdf:RDF)\b/.test(feed)) {
+      throw new HttpError(400, `${url.href} isn't a feed.`);
+    }
+    const title = /<title[^>]*>\s*(<!\[CDATA\[)?([\s\S]*?)(\]\]>)?\s*<\/title>/.exec(feed);
+    return { url: url.href, title: title ? feeds.unescapeXml(title[2]) : url.href };
+  }
+  let channelId = findChannelId(url, null);
+  let page = null;
+  if (!channelId) {
+    page = await fetchLookupPage(url);
+    channelId = findChannelId(url, page);
+    if (!channelId) throw new HttpError(404, `No channel was found at ${url.href}.`);
+  }
+  const pageUrl = `https://www.youtube.com/channel/${channelId}`;
+  // Video pages, and channel pages under another URL, don't describe the channel the way its own page does
+  if (!page || !(findPageMetadata(page, "rel", "canonical") || "").endsWith(`/channel/${channelId}`)) {
+    page = await fetchLookupPage(new URL(pageUrl));
+  }
+  const title = findPageMetadata(page, "property", "og:title") ||
+    feeds.unescapeXml(((/<title[^>]*>([^<]*)<\/title>/i.exec(page) || [])[1] || "").replace(/ - YouTube$/, ""));
+  return {
+    url: `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`,
+    title: title || channelId,
+    icon: findPageMetadata(page, "rel", "image_src") || findPageMetadata(page, "property", "og:image"),
+    pageUrl
+  };
+}
+
+// Errors
+
+/**
+ * An error that maps to an HTTP status code
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res The response
+ * @param {number} status The HTTP status code
+ * @param {*} data The data to send
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json"
+  });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Sends an error as a JSON response, or a 500 if it's not an HTTP error
+ * @param {http.ServerResponse} res The response
+ * @param {Error} e The error
+ */
+function apiError(res, e) {
+  if (e instanceof HttpError && !res.headersSent) {
+    sendJson(res, e.status, { error: e.message });
+    return;
+  }
+  serverError(res, e);
+}
+
+/**
+ * Sends a 404 response
+ * @param {http.ServerResponse} res The response
+ */
+function sendNotFound(res) {
+  // !found
+  res.writeHead(404, {
+    "Content-Type": "text/html"
+  });
+  res.end('<!DOCTYPE html><html lang="en"><head><title>404 !found</title></head><body><h1>404 !found</h1></body></html>');
+}
+
+/**
+ * Logs an error and sends a 500 response
+ * @param {http.ServerResponse} res The response
+ * @param {Error} e The error
+ */
+function serverError(res, e) {
+  // @#$%!
+  console.log(`${new Date().toTimeString()} Error: ${e}`);
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(500, {
+    "Content-Type": "text/html"
+  });
+  res.end('<!DOCTYPE html><html lang="en"><head><title>500 Shaman trance</title></head><body><h1>500 Shaman trance</h1></body></html>');
+}
+
+// Server
+
+/**
+ * Routes an authorized request
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {{user: string}} client Who sent the request, with a null user if there's no authentication
+ */
+function route(req, res, client) {
+  try {
+    // Profile
+    const profile = getProfile(req);
+    if (profile && profile.redirect) {
+      res.writeHead(301, {
+        "Location": profile.redirect
+      });
+      res.end();
+      return;
+    }
+    if (profile && (req.method === "GET" || req.method === "HEAD")) {
+      const pathname = req.url.split("?")[0];
+      // Home page
+      if (pathname === "/") {
+        serveStaticFile({ file: path.join(__dirname, settings.home), type: "text/html" }, req, res)
+          .catch(e => serverError(res, e));
+        return;
       }
       // Subscriptions
       if (req.url === "/subscriptions")
       {
-        res.writeHead(200, {
-          "Content-Type": "text/x-opml"
-        });
-        fs.createReadStream(settings.subscriptions).pipe(res);
-        return;      
+        readOpml(profile.subscriptions)
+          .then(opml => {
+            res.writeHead(200, {
+              "Content-Type": "text/x-opml"
+            });
+            res.end(opml);
+          })
+          .catch(e => serverError(res, e));
+        return;
+      }
+      // Merged feeds
+      if (pathname === "/all.atom" || pathname === "/all.json") {
+        serveMergedFeed(req, res, profile, client, pathname === "/all.atom" ? "atom" : "json")
+          .catch(e => apiError(res, e));
+        return;
       }
       // Proxy
       if (req.url.substr(0, 6) === "/feed/") {
-        const hostIndex = req.url.indexOf('/', 6);
-        if (hostIndex !== -1) {
-          const host = req.url.substr(6, hostIndex - 6);
-          if (settings.allowedFeedHosts.indexOf(host) !== -1) {
-            https.get(`https://${req.url.substr(6)}`, feed => {
-              res.writeHead(feed.statusCode, {
-                "Content-Type": "application/rss+xml"
-              });
-              feed.pipe(res);
-            });
-            return;
-          }
+        const url = getProxiedUrl(req.url.substr(6), isAllowedFeedHost);
+        if (url) {
+          serveFeed(url.href, req, res, client)
+            .catch(e => apiError(res, e));
+          return;
         }
+        // Only YouTube is allowed by default, the hosts of other feeds, such as PeerTube instances, have to be added
+        const notAllowed = getProxiedUrl(req.url.substr(6), () => true);
+        if (notAllowed) {
+          throw new HttpError(403, `${notAllowed.hostname} isn't an allowed feed host. ` +
+            `Add it to allowedFeedHosts in ${defaultConfigFile}, or to --allowed-feed-hosts, to read its feeds.`);
+        }
+      }
+      // Images
+      if (req.url.substr(0, 5) === "/img/") {
+        const url = getProxiedUrl(req.url.substr(5), isAllowedImageHost);
+        if (url) {
+          serveImage(url.href, req, res, client)
+            .catch(e => apiError(res, e));
+          return;
+        }
+      }
+      // Stylesheets and fonts
+      if (req.url.substr(0, 8) === "/assets/") {
+        const url = getProxiedUrl(req.url.substr(8), isAllowedAssetHost);
+        if (url && isAllowedAssetUrl(url)) {
+          serveAsset(url.href, req, res, client)
+            .catch(e => apiError(res, e));
+          return;
+        }
+      }
+      // Static files, after the proxies that have their own sub-directories
+      const staticFile = getStaticFile(pathname);
+      if (staticFile) {
+        serveStaticFile(staticFile, req, res)
+          .catch(e => serverError(res, e));
+        return;
       }
     }
-    // !found
-    res.writeHead(404, {
-      "Content-Type": "text/html"
-    });
-    res.end('<!DOCTYPE html><html lang="en"><head><title>404 !found</title></head><body><h1>404 !found</h1></body></html>');
+    // Subscription management
+    if (profile && (req.url === "/subscriptions" || req.url.substr(0, 15) === "/subscriptions/")) {
+      handleSubscriptionsApi(req, res, profile, client)
+        .catch(e => apiError(res, e));
+      return;
+    }
+    // User state
+    if (profile && req.url === "/state") {
+      handleStateApi(req, res, profile, client)
+        .catch(e => apiError(res, e));
+      return;
+    }
+    sendNotFound(res);
   }
   catch(e) {
-    // @#$%!
-    console.log(`${new Date().toTimeString()} Error: ${e}`);
-    res.writeHead(500, {
-      "Content-Type": "text/html"
-    });
-    res.end('<!DOCTYPE html><html lang="en"><head><title>500 Shaman trance</title></head><body><h1>500 Shaman trance</h1></body></html>');
+    apiError(res, e);
   }
+}
+
+const server = http.createServer((req, res) => {
+  console.log(`${new Date().toTimeString()} Requested: ${req.url}`);
+  res.setHeader("Content-Security-Policy", settings.contentSecurityPolicy);
+  authorize(req, res)
+    .then(client => {
+      if (client) route(req, res, client);
+    })
+    .catch(e => apiError(res, e));
 });
 
-server.listen(settings.port, settings.hostname, () => {
-  console.log(`TUBULAR-9000 server running at http://${settings.hostname}:${settings.port}/`);
-});
\ No newline at end of file
+// Startup
+
+/**
+ * Finds if the server only listens to the local machine
+ * @param {string} hostname The host name or address the server listens on
+ * @returns {boolean} True if it's a loopback address
+ */
+function isLoopback(hostname) {
+  return hostname === "localhost" || hostname === "::1" || /^127\./.test(hostname);
+}
+
+/**
+ * Configures and starts the server
+ */
+async function start() {
+  if (!configure(process.argv.slice(2), process.env)) return;
+  if (settings.auth.users) {
+    try {
+      await loadUsers();
+    }
+    catch(e) {
+      throw new Error(`The users file ${settings.auth.users} can't be read: ${e.message}`);
+    }
+  }
+  else if (!isLoopback(settings.hostname)) {
+    console.warn(`Warning: the server listens on ${settings.hostname} without authentication. Set auth.users to require it.`);
+  }
+  fs.mkdirSync(settings.feedCache.directory, { recursive: true });
+  fs.mkdirSync(settings.imageCache.directory, { recursive: true });
+  fs.mkdirSync(settings.assets.directory, { recursive: true });
+  fs.mkdirSync(settings.state.directory, { recursive: true });
+  await loadCacheIndex(imageCache);
+  await loadCacheIndex(assetCache);
+  server.listen(settings.port, settings.hostname, () => {
+    console.log(`TUBULAR-9000 server running at http://${settings.hostname}:${settings.port}/`);
+    for (let name of Object.keys(settings.profiles)) {
+      console.log(`Profile ${name} at http://${settings.hostname}:${settings.port}/p/${name}/`);
+    }
+  });
+}
+
+const command = {
+  "--hash-password": hashPasswordCommand,
+  "--new-token": newTokenCommand
+}[process.argv[2]];
+if (command) {
+  Promise.resolve()
+    .then(command)
+    .catch(e => {
+      console.error(e.message);
+      process.exitCode = 1;
+    });
+}
+else {
+  start()
+    .catch(e => {
+      console.error(`Configuration error: ${e.message}`);
+      process.exitCode = 1;
+    });
+}
\ No newline at end of file
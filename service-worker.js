@@ -0,0 +1,77 @@
+// TUBULAR-9000 Service worker - caches the application shell so the persisted feed can be browsed offline
+// (c) 2020 Bertrand Le Roy
+
+// Settings
+
+const settings = {
+  // Name of the cache, to change when the list of files below changes:
+  cache: "tubular-9000-shell-v3",
+  // Files that make the application shell:
+  shell: [
+    "./",
+    "feeds.js",
+    "tubular-9000.js",
+    "style.css",
+    "tubular.png",
+    "favicon-16x16.png",
+    "favicon-32x32.png",
+    "assets/fonts.googleapis.com/css?family=Roboto:300,300italic,700,700italic",
+    "assets/cdnjs.cloudflare.com/ajax/libs/normalize/8.0.1/normalize.css",
+    "assets/cdnjs.cloudflare.com/ajax/libs/milligram/1.4.1/milligram.css"
+  ]
+};
+
+const shellUrls = settings.shell.map(url => new URL(url, self.location).href);
+
+// Life cycle
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(settings.cache);
+    await cache.addAll(shellUrls);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    for (let name of await caches.keys()) {
+      if (name !== settings.cache) {
+        await caches.delete(name);
+      }
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Requests
+
+/**
+ * Responds from the cache if possible, and updates the cache from the network in the background
+ * @param {FetchEvent} event The fetch event
+ * @returns {Promise<Response>} The response
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(settings.cache);
+  const cached = await cache.match(event.request);
+  const fetched = fetch(event.request)
+    .then(response => {
+      // A redirected response is the login page when the server requires login, not the shell
+      if (response.ok && !response.redirected) {
+        cache.put(event.request, response.clone());
+      }
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(fetched.catch(() => {}));
+    return cached;
+  }
+  return await fetched;
+}
+
+self.addEventListener("fetch", event => {
+  // Subscriptions and feeds are persisted by the application itself, only the shell is cached here
+  if (event.request.method === "GET" && shellUrls.indexOf(event.request.url) !== -1) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
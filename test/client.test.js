@@ -0,0 +1,146 @@
+// Tests of the logic of the client, that runs its scripts with the few browser globals they use when they're loaded.
+// Run with: node --test test/
+
+const { test } = require('node:test');
+const assert = require('assert');
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+
+const context = vm.createContext({
+  console: { log: console.log, error: console.error, warn: () => {} },
+  URL,
+  URLSearchParams,
+  setTimeout,
+  clearTimeout,
+  location: { pathname: "/", hash: "" },
+  document: { addEventListener: () => {} },
+  DOMParser: class {}
+});
+for (let file of ["feeds.js", "tubular-9000.js"]) {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), context, { filename: file });
+}
+
+/**
+ * Gets a value from the scripts of the client, such as one of their functions
+ * @param {string} expression The expression of the value
+ * @returns {*} The value
+ */
+function client(expression) {
+  return vm.runInContext(expression, context);
+}
+
+test("mute rule patterns that can take exponential time are refused", () => {
+  const validateRule = client("validateRule");
+  for (let pattern of ["(a+)+", "(\\w+\\s?)*$", "(a|a)*$", "(\\w|\\d)+x", "((a|b)c)+", "(?:x*y){2,}"]) {
+    assert.throws(() => validateRule({ name: "Rule", pattern }), /can freeze the application/, pattern);
+  }
+  for (let pattern of ["cats?|dogs", "(live|stream)s? now", "\\(a+\\)+", "[(a|b)]+", "(ab)+c*", "^\\[sponsored\\]"]) {
+    assert.strictEqual(validateRule({ name: "Rule", pattern }).pattern, pattern, pattern);
+  }
+  assert.throws(() => validateRule({ name: "Long", pattern: "a".repeat(201) }), /longer than 200 characters/);
+  assert.throws(() => validateRule({ name: "Broken", pattern: "(" }), /isn't a valid regular expression/);
+  assert.throws(() => validateRule({ name: "Empty" }), /needs a pattern/);
+});
+
+test("mute rules apply when all their conditions are met", () => {
+  const validateRule = client("validateRule");
+  const ruleMatches = client("ruleMatches");
+  const posting = {
+    title: "LIVE stream",
+    description: "Daily news",
+    starRating: 3,
+    views: 500,
+    published: new Date(Date.now() - 10 * 86400000),
+    subscription: { url: "https://example.com/feed" }
+  };
+  assert.ok(ruleMatches(validateRule({ name: "Live", pattern: "live" }), posting));
+  assert.ok(!ruleMatches(validateRule({ name: "Live", pattern: "live", field: "description" }), posting));
+  assert.ok(!ruleMatches(validateRule({ name: "Live", pattern: "live", enabled: false }), posting));
+  assert.ok(!ruleMatches(validateRule({ name: "Other", pattern: "live", subscription: "https://other.example/feed" }), posting));
+  assert.ok(ruleMatches(validateRule({ name: "Unpopular", minViews: 1000, minStarRating: 4 }), posting));
+  assert.ok(!ruleMatches(validateRule({ name: "Unpopular", minViews: 100 }), posting));
+  assert.ok(!ruleMatches(validateRule({ name: "Unrated", minViews: 1000 }), Object.assign({}, posting, { views: 0 })));
+  assert.ok(ruleMatches(validateRule({ name: "Old", maxAgeDays: 7 }), posting));
+  assert.ok(!ruleMatches(validateRule({ name: "Old", maxAgeDays: 7, pattern: "sports" }), posting));
+});
+
+test("template expressions are interpreted like JavaScript", async () => {
+  const evaluate = client("evaluate");
+  const interpolate = client("interpolate");
+  const data = {
+    title: "Cats",
+    count: 2,
+    empty: null,
+    tags: ["a", "b"],
+    sub: { title: "Channel", load: async () => "loaded" }
+  };
+  for (let [expression, expected] of [
+    ["1 + 2 * 3 - 7 % 4", 4],
+    ["(1 + 2) * 3", 9],
+    ["count > 1 && count <= 2 ? 'many' : 'few'", "many"],
+    ["empty ?? title", "Cats"],
+    ["empty || !count", false],
+    ["empty?.title", undefined],
+    ["sub['title'].toUpperCase()", "CHANNEL"],
+    ["tags.length === 2 && tags[1] !== 'a'", true],
+    ["[title, -count].join(',')", "Cats,-2"],
+    ["await sub.load()", "loaded"],
+    ["`${title} x${count}`", "Cats x2"]
+  ]) {
+    assert.deepStrictEqual(await evaluate(expression, data, "<test>"), expected, expression);
+  }
+  assert.strictEqual(await interpolate("${title}${count > 1 ? ` (${count})` : ''}!", data, "<test>"), "Cats (2)!");
+  assert.strictEqual(await interpolate("No expression", data, "<test>"), "No expression");
+});
+
+test("template expressions can't reach code generation or globals", async () => {
+  const evaluate = client("evaluate");
+  const data = { title: "Cats", sub: {} };
+  for (let [expression, message] of [
+    ["sub.constructor", /constructor can't be used in templates/],
+    ["sub['constr' + 'uctor']", /constructor can't be used in templates/],
+    ["title.__proto__", /__proto__ can't be used in templates/],
+    ["formatDate.call(null, 0)", /call can't be used in templates/],
+    ["title.big.bind", /bind can't be used in templates/],
+    ["alert(1)", /alert is not a template helper/],
+    ["window", /window is not defined/],
+    ["this", /this is not defined/],
+    ["sub.missing.title", /Cannot read properties of undefined/],
+    ["title +", /Unexpected end of expression/]
+  ]) {
+    await assert.rejects(evaluate(expression, data, "<test>"), message, expression);
+  }
+  await assert.rejects(evaluate("sub.missing.title", data, "<div id=\"x\"> data-if"),
+    /<div id="x"> data-if, line 1, column 13: Cannot read properties of undefined/);
+});
+
+test("search queries filter postings by words, phrases, channel, dates and views", () => {
+  const parseQuery = client("parseQuery");
+  const matchesQuery = client("matchesQuery");
+  const postings = [
+    { title: "Cats and dogs", description: "A video about pets", views: 2500, published: new Date(2020, 0, 15), subscription: { title: "Pet Channel" } },
+    { title: "Cooking cats", description: "Not what you think", views: 900, published: new Date(2020, 2, 1), subscription: { title: "Kitchen" } },
+    { title: "News", description: "Daily news: cats and dogs", views: 50000, published: new Date(2019, 11, 31), subscription: { title: "News Channel" } }
+  ];
+  const search = text => postings.filter(posting => matchesQuery(parseQuery(text), posting)).map(posting => posting.title);
+  assert.deepStrictEqual(search("cats"), ["Cats and dogs", "Cooking cats", "News"]);
+  assert.deepStrictEqual(search('"cats and dogs"'), ["Cats and dogs", "News"]);
+  assert.deepStrictEqual(search("cats -dogs"), ["Cooking cats"]);
+  assert.deepStrictEqual(search('channel:"pet channel"'), ["Cats and dogs"]);
+  assert.deepStrictEqual(search("-channel:news cats"), ["Cats and dogs", "Cooking cats"]);
+  assert.deepStrictEqual(search("after:2020-01-01 before:2020-02-01"), ["Cats and dogs"]);
+  assert.deepStrictEqual(search("views:2.5k"), ["Cats and dogs", "News"]);
+  assert.deepStrictEqual(search("views:<1k"), ["Cooking cats"]);
+  assert.deepStrictEqual(search("views:=50000"), ["News"]);
+  assert.deepStrictEqual(search("news:"), ["News"]);
+  assert.deepStrictEqual(search("  "), ["Cats and dogs", "Cooking cats", "News"]);
+  assert.strictEqual(parseQuery("   "), null);
+  assert.deepStrictEqual([...parseQuery('cats "and dogs" -news').highlights], ["cats", "and dogs"]);
+});
+
+test("search queries report what they can't understand", () => {
+  const parseQuery = client("parseQuery");
+  assert.deepStrictEqual([...parseQuery("views:>x before:someday cats").errors],
+    ["views:>x isn't a valid number of views.", "before:someday isn't a valid date."]);
+});
@@ -0,0 +1,22 @@
+// Tests of the feed parsing helpers shared by the client and the server. Run with: node --test test/
+
+const { test } = require('node:test');
+const assert = require('assert');
+const feeds = require('../feeds');
+
+test("HTML is reduced to its text, with its entities decoded", () => {
+  assert.strictEqual(feeds.stripHtml("<p>Cats &amp; dogs</p><p>&lt;3&nbsp;&#233;&#xE9;</p>"), "Cats & dogs\n<3 éé");
+  assert.strictEqual(feeds.stripHtml("&amp;nbsp;"), "&nbsp;");
+});
+
+test("references to code points that don't exist are kept as they are", () => {
+  assert.strictEqual(feeds.unescapeXml("a&#x110000;b&#99999999;c&#x10FFFF;"), "a&#x110000;b&#99999999;c\u{10FFFF}");
+  assert.strictEqual(feeds.stripHtml("<b>&#1114112;</b> ok"), "&#1114112; ok");
+});
+
+test("media types tell how postings are played", () => {
+  assert.strictEqual(feeds.getPlayerKind({ type: "audio/mpeg", medium: "", url: "https://pod.example/1" }), "audio");
+  assert.strictEqual(feeds.getPlayerKind({ type: "", medium: "", url: "https://pt.example/v.webm?x=1" }), "video");
+  assert.strictEqual(feeds.getPlayerKind({ type: "text/html", medium: "", url: "https://pt.example/w/1" }), "link");
+  assert.strictEqual(feeds.getPlayerKind(undefined), "link");
+});
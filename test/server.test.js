@@ -0,0 +1,402 @@
+// Tests of the TUBULAR-9000 server, that start it on a free port and send it requests. Run with: node --test test/
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const { spawn } = require('child_process');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+let server;
+let baseUrl;
+let directory;
+
+/**
+ * Starts the server in a temporary directory
+ * @param {Array<string>} args The command-line arguments
+ * @returns {Promise<{process: ChildProcess, url: string}>} The server process, and its URL
+ */
+function startServer(args) {
+  const port = 40000 + Math.floor(Math.random() * 10000);
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js"), "--port", `${port}`, ...args], {
+    cwd: directory
+  });
+  return new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", data => {
+      output += data;
+      if (output.includes("running at")) resolve({ process: child, url: `http://127.0.0.1:${port}` });
+    });
+    child.stderr.on("data", data => output += data);
+    child.on("exit", () => reject(new Error(`The server exited: ${output}`)));
+  });
+}
+
+/**
+ * Sends a GET request with a path that's sent as it is, unlike with fetch that would drop its fragment
+ * @param {string} requestPath The path
+ * @returns {Promise<number>} The status of the response
+ */
+function getStatus(requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}/`, { path: requestPath }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    })
+      .on("error", reject);
+  });
+}
+
+/**
+ * Hashes a password the way the server does for its users file
+ * @param {string} password The password
+ * @returns {string} The salted hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt:${salt.toString("base64")}:${crypto.scryptSync(password, salt, 32).toString("base64")}`;
+}
+
+/**
+ * Writes a fresh entry in the feed cache of the servers, so that they don't fetch the feed
+ * @param {string} url The URL of the feed
+ * @param {string} contentType The type of the feed
+ * @param {string} body The feed
+ */
+async function writeCachedFeed(url, contentType, body) {
+  const cacheDirectory = path.join(directory, ".cache", "feeds");
+  await fs.promises.mkdir(cacheDirectory, { recursive: true });
+  await fs.promises.writeFile(path.join(cacheDirectory, `${crypto.createHash("sha1").update(url).digest("hex")}.json`),
+    JSON.stringify({ url, contentType, fetched: Date.now(), body }));
+}
+
+before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "tubular-test-"));
+  ({ process: server, url: baseUrl } = await startServer([
+    "--allowed-feed-hosts", "*.youtube.com",
+    "--allowed-image-hosts", "*.ggpht.com"
+  ]));
+});
+
+after(async () => {
+  server.kill();
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test("the feed proxy only fetches from the host that was checked", async () => {
+  for (let url of [
+    "/feed/evil.example?.youtube.com/feeds/videos.xml",
+    "/feed/evil.example%3F.youtube.com/feeds/videos.xml",
+    "/feed/evil.example#.youtube.com/feeds/videos.xml",
+    "/feed/evil.example@www.youtube.com/feeds/videos.xml",
+    "/feed/www.youtube.com:8080/feeds/videos.xml",
+    "/feed/evil.example\\.youtube.com/feeds/videos.xml"
+  ]) {
+    assert.strictEqual(await getStatus(url), 404, url);
+  }
+});
+
+test("the image proxy only fetches from the host that was checked", async () => {
+  for (let url of [
+    "/img/evil.example?.ggpht.com/x.jpg",
+    "/img/evil.example#.ggpht.com/x.jpg",
+    "/img/127.0.0.1:22?.ggpht.com/x.jpg",
+    "/img/yt3.ggpht.com:8443/x.jpg"
+  ]) {
+    assert.strictEqual(await getStatus(url), 404, url);
+  }
+});
+
+test("stylesheets and fonts are only fetched without a query, except stylesheets from Google Fonts", async () => {
+  for (let url of [
+    "/assets/cdnjs.cloudflare.com/ajax/libs/normalize/8.0.1/normalize.css?n=1",
+    "/assets/fonts.gstatic.com/s/roboto/v30/font.woff2?v=2",
+    "/assets/fonts.googleapis.com/css?family=Roboto&n=1",
+    "/assets/fonts.googleapis.com/other?family=Roboto"
+  ]) {
+    assert.strictEqual(await getStatus(url), 404, url);
+  }
+});
+
+test("image downloads count against the rate limit of the user", async () => {
+  const users = { dave: { tokens: [crypto.createHash("sha256").update("dave-token").digest("hex")] } };
+  await fs.promises.writeFile(path.join(directory, "limited-users.json"), JSON.stringify(users));
+  const limited = await startServer([
+    "--allowed-image-hosts", "images.invalid",
+    "--auth-users", "limited-users.json",
+    "--auth-rate-limit-requests", "2"
+  ]);
+  try {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await fetch(`${limited.url}/img/images.invalid/${i}.jpg`, {
+        headers: { "Authorization": "Bearer dave-token" }
+      });
+      statuses.push(response.status);
+    }
+    assert.deepStrictEqual(statuses, [502, 502, 429]);
+  }
+  finally {
+    limited.process.kill();
+  }
+});
+
+test("feeds served from the cache don't count against the rate limit", async () => {
+  await writeCachedFeed("https://www.youtube.com/feeds/videos.xml?channel_id=cached", "application/atom+xml", "<feed/>");
+  const users = { erin: { tokens: [crypto.createHash("sha256").update("erin-token").digest("hex")] } };
+  await fs.promises.writeFile(path.join(directory, "cached-users.json"), JSON.stringify(users));
+  const limited = await startServer([
+    "--allowed-feed-hosts", "*.youtube.com",
+    "--auth-users", "cached-users.json",
+    "--auth-rate-limit-requests", "1"
+  ]);
+  try {
+    for (let i = 0; i < 3; i++) {
+      const response = await fetch(`${limited.url}/feed/www.youtube.com/feeds/videos.xml?channel_id=cached`, {
+        headers: { "Authorization": "Bearer erin-token" }
+      });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get("X-Cache"), "HIT");
+    }
+  }
+  finally {
+    limited.process.kill();
+  }
+});
+
+test("there's no rate limit without authentication", async () => {
+  const unlimited = await startServer(["--allowed-image-hosts", "images.invalid", "--auth-rate-limit-requests", "1"]);
+  try {
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await fetch(`${unlimited.url}/img/images.invalid/${i}.jpg`)).status, 502);
+    }
+  }
+  finally {
+    unlimited.process.kill();
+  }
+});
+
+test("the merged feed links to the URL the browser used", async () => {
+  const feed = await (await fetch(`${baseUrl}/all.json`, { headers: { "X-Forwarded-Proto": "https" } })).json();
+  assert.strictEqual(feed.home_page_url, `${baseUrl.replace("http:", "https:")}/`);
+  assert.strictEqual(feed.feed_url, `${baseUrl.replace("http:", "https:")}/all.json`);
+});
+
+test("only the client files and the public directory are served", async () => {
+  for (let [url, status] of [
+    ["/tubular-9000.js", 200],
+    ["/feeds.js", 200],
+    ["/server.js", 404],
+    ["/test/server.test.js", 404],
+    ["/public/../server.js", 404],
+    ["/public/%2e%2e/server.js", 404]
+  ]) {
+    assert.strictEqual(await getStatus(url), status, url);
+  }
+});
+
+test("feeds from hosts that aren't allowed get an error that says how to allow them", async () => {
+  const response = await fetch(`${baseUrl}/feed/peertube.example/feeds/videos.xml?videoChannelId=1`);
+  assert.strictEqual(response.status, 403);
+  assert.match((await response.json()).error, /peertube\.example isn't an allowed feed host.*--allowed-feed-hosts/);
+});
+
+test("each user has their own state", async () => {
+  const tokens = { alice: "alice-token", "bob.smith": "bob-token" };
+  const users = Object.fromEntries(Object.entries(tokens).map(([user, token]) =>
+    [user, { tokens: [crypto.createHash("sha256").update(token).digest("hex")] }]));
+  await fs.promises.writeFile(path.join(directory, "users.json"), JSON.stringify(users));
+  const authenticated = await startServer(["--auth-users", "users.json"]);
+  const request = (user, method, body, etag) => fetch(`${authenticated.url}/state`, {
+    method,
+    headers: Object.assign({ "Authorization": `Bearer ${tokens[user]}` }, etag ? { "If-Match": etag } : {}),
+    body: body && JSON.stringify(body)
+  });
+  try {
+    const put = await request("alice", "PUT", { values: { sortMode: { value: "views", updated: 1 } } }, '"0"');
+    assert.strictEqual(put.status, 200);
+    const bobs = await request("bob.smith", "GET");
+    assert.strictEqual(bobs.headers.get("ETag"), '"0"');
+    assert.deepStrictEqual(await bobs.json(), {});
+    const alices = await request("alice", "GET");
+    assert.strictEqual(alices.headers.get("ETag"), '"1"');
+    assert.strictEqual((await alices.json()).values.sortMode.value, "views");
+  }
+  finally {
+    authenticated.process.kill();
+  }
+});
+
+test("a state that's too large gets a 413 response", async () => {
+  const response = await fetch(`${baseUrl}/state`, {
+    method: "PUT",
+    headers: { "If-Match": "*" },
+    body: JSON.stringify({ values: { large: { value: "x".repeat(2 * 1024 * 1024), updated: 1 } } })
+  });
+  assert.strictEqual(response.status, 413);
+});
+
+test("cookies that aren't encoded properly are ignored", async () => {
+  await fs.promises.writeFile(path.join(directory, "login-users.json"), JSON.stringify({ carol: { password: hashPassword("secret") } }));
+  const authenticated = await startServer(["--auth-users", "login-users.json"]);
+  try {
+    const login = await fetch(`${authenticated.url}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "user=carol&password=secret&next=/",
+      redirect: "manual"
+    });
+    assert.strictEqual(login.status, 303);
+    const session = login.headers.getSetCookie().find(cookie => cookie.startsWith("tubular_session=")).split(";")[0];
+    const response = await fetch(`${authenticated.url}/state`, { headers: { "Cookie": `x=%E0; ${session}` } });
+    assert.strictEqual(response.status, 200);
+  }
+  finally {
+    authenticated.process.kill();
+  }
+});
+
+test("failed logins are limited for each user", async () => {
+  await fs.promises.writeFile(path.join(directory, "guessed-users.json"), JSON.stringify({ frank: { password: hashPassword("secret") } }));
+  const authenticated = await startServer(["--auth-users", "guessed-users.json", "--auth-rate-limit-failed-logins", "2"]);
+  const basic = credentials => fetch(`${authenticated.url}/state`, {
+    headers: { "Authorization": `Basic ${Buffer.from(credentials).toString("base64")}` }
+  });
+  try {
+    assert.strictEqual((await basic("frank:guess1")).status, 401);
+    assert.strictEqual((await basic("frank:guess2")).status, 401);
+    const limited = await basic("frank:secret");
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get("Retry-After")) > 0);
+    const login = await fetch(`${authenticated.url}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "user=frank&password=secret",
+      redirect: "manual"
+    });
+    assert.strictEqual(login.status, 429);
+  }
+  finally {
+    authenticated.process.kill();
+  }
+});
+
+test("YouTube, Atom and RSS feeds are parsed into postings", async () => {
+  await writeCachedFeed("https://www.youtube.com/feeds/videos.xml?channel_id=yt", "application/atom+xml", `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns:media="http://search.yahoo.com/mrss/">
+  <title>Channel</title><link rel="alternate" href="https://www.youtube.com/channel/yt"/>
+  <entry>
+    <id>yt:video:v1</id><yt:videoId>v1</yt:videoId><title>Video</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=v1"/><published>2020-01-03T00:00:00Z</published>
+    <media:group>
+      <media:thumbnail url="https://i1.ytimg.com/vi/v1/hqdefault.jpg"/><media:description>About cats</media:description>
+      <media:community><media:starRating average="4.5"/><media:statistics views="1234"/></media:community>
+    </media:group>
+  </entry>
+</feed>`);
+  await writeCachedFeed("https://pt.example/feed", "application/atom+xml", `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><title>PT</title><link href="https://pt.example/c/x"/>
+  <entry>
+    <id>https://pt.example/w/1</id><title>Clip</title><link href="https://pt.example/w/1"/>
+    <published>2020-01-02T00:00:00Z</published><summary type="html">&lt;b&gt;Bold&lt;/b&gt; &amp;#x110000;</summary>
+    <link rel="enclosure" href="https://pt.example/v.mp4" type="video/mp4"/>
+  </entry>
+</feed>`);
+  await writeCachedFeed("https://pod.example/rss", "application/rss+xml", `<?xml version="1.0"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"><channel>
+  <title>Pod</title><link>https://pod.example/</link><itunes:image href="https://pod.example/art.jpg"/>
+  <item>
+    <title>Episode</title><guid>ep1</guid><pubDate>Wed, 01 Jan 2020 00:00:00 GMT</pubDate>
+    <enclosure url="https://pod.example/ep1.mp3" type="audio/mpeg" length="1"/><description>&lt;p&gt;Hi&lt;/p&gt;</description>
+  </item>
+</channel></rss>`);
+  await fs.promises.writeFile(path.join(directory, "parsed.opml"), `<opml version="1.1"><body>
+<outline text="Channel" title="Channel" type="rss" xmlUrl="https://www.youtube.com/feeds/videos.xml?channel_id=yt"/>
+<outline text="Videos"><outline text="PT" title="PT" type="rss" xmlUrl="https://pt.example/feed"/></outline>
+<outline text="Pod" title="Pod" type="rss" xmlUrl="https://pod.example/rss"/>
+</body></opml>`);
+  const parsing = await startServer([
+    "--subscriptions", "parsed.opml",
+    "--allowed-feed-hosts", "*.youtube.com,pt.example,pod.example"
+  ]);
+  try {
+    const feed = await (await fetch(`${parsing.url}/all.json`)).json();
+    assert.deepStrictEqual(feed.items.map(item => [item.title, item.url, item.content_text, item.image, item.date_published]), [
+      ["Video", "https://www.youtube.com/watch?v=v1", "About cats", "https://i1.ytimg.com/vi/v1/hqdefault.jpg", "2020-01-03T00:00:00.000Z"],
+      ["Clip", "https://pt.example/w/1", "Bold &#x110000;", undefined, "2020-01-02T00:00:00.000Z"],
+      ["Episode", "https://pod.example/ep1.mp3", "Hi", "https://pod.example/art.jpg", "2020-01-01T00:00:00.000Z"]
+    ]);
+    assert.deepStrictEqual(feed.items.map(item => [item._tubular.player, item._tubular.views, item.tags]), [
+      ["youtube", 1234, undefined],
+      ["video", 0, ["Videos"]],
+      ["audio", 0, undefined]
+    ]);
+    assert.deepStrictEqual(feed.items[1].attachments, [{ url: "https://pt.example/v.mp4", mime_type: "video/mp4" }]);
+  }
+  finally {
+    parsing.process.kill();
+  }
+});
+
+test("a feed with a reference to a code point that doesn't exist is still merged", async () => {
+  await writeCachedFeed("https://www.youtube.com/feeds/videos.xml?channel_id=references", "application/atom+xml", `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><title>References</title>
+  <entry><id>yt:video:r1</id><title>Broken &#x110000; &#99999999; reference</title><published>2020-01-01T00:00:00Z</published></entry>
+</feed>`);
+  await fs.promises.writeFile(path.join(directory, "references.opml"), `<opml version="1.1"><body>
+<outline text="References &#x110000;" type="rss" xmlUrl="https://www.youtube.com/feeds/videos.xml?channel_id=references"/>
+</body></opml>`);
+  const merging = await startServer(["--subscriptions", "references.opml", "--allowed-feed-hosts", "*.youtube.com"]);
+  try {
+    const feed = await (await fetch(`${merging.url}/all.json`)).json();
+    assert.deepStrictEqual(feed.items.map(item => [item.title, item.authors[0].name]),
+      [["Broken &#x110000; &#99999999; reference", "References &#x110000;"]]);
+  }
+  finally {
+    merging.process.kill();
+  }
+});
+
+test("subscriptions are added, renamed, moved and removed in the OPML file", async () => {
+  const url = "https://www.youtube.com/feeds/videos.xml?channel_id=api";
+  const send = (method, requestPath, body) => fetch(`${baseUrl}${requestPath}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify(body)
+  });
+  const added = await send("POST", "/subscriptions", { url, title: "API & co", folder: "Tests" });
+  assert.strictEqual(added.status, 201);
+  assert.deepStrictEqual(await added.json(), { id: encodeURIComponent(url), url, title: "API & co", folder: ["Tests"] });
+  assert.strictEqual((await send("POST", "/subscriptions", { url })).status, 409);
+  assert.strictEqual((await send("POST", "/subscriptions", { url: "http://example.com/feed" })).status, 400);
+  assert.match(await (await fetch(`${baseUrl}/subscriptions`)).text(),
+    /<outline text="Tests" title="Tests">\s*<outline text="API &amp; co" title="API &amp; co" type="rss" xmlUrl="https:\/\/www\.youtube\.com\/feeds\/videos\.xml\?channel_id=api" \/>/);
+  // Ids match whatever the case of their escapes, and whatever the query
+  const lowerCaseId = encodeURIComponent(url).replace(/%[\dA-F]{2}/g, escape => escape.toLowerCase());
+  const updated = await send("PATCH", `/subscriptions/${lowerCaseId}?v=1`, { title: "Renamed", folder: ["Tests", "Moved"] });
+  assert.strictEqual(updated.status, 200);
+  assert.deepStrictEqual(await updated.json(), { id: encodeURIComponent(url), url, title: "Renamed", folder: ["Tests", "Moved"] });
+  assert.match(await (await fetch(`${baseUrl}/subscriptions`)).text(),
+    /<outline text="Moved" title="Moved">\s*<outline text="Renamed" title="Renamed"/);
+  assert.strictEqual((await send("PATCH", `/subscriptions/${lowerCaseId}`, { title: " " })).status, 400);
+  assert.strictEqual((await send("DELETE", `/subscriptions/${encodeURIComponent(url)}?x=%E0`)).status, 200);
+  assert.strictEqual((await send("DELETE", `/subscriptions/${encodeURIComponent(url)}`)).status, 404);
+  assert.strictEqual((await send("DELETE", "/subscriptions/%E0")).status, 404);
+  assert.doesNotMatch(await (await fetch(`${baseUrl}/subscriptions`)).text(), /channel_id=api/);
+});
+
+test("simultaneous replacements of the state are all written, one after the other", async () => {
+  const created = await fetch(`${baseUrl}/state`, { method: "PUT", headers: { "If-Match": '"0"' }, body: "{}" });
+  assert.strictEqual(created.status, 200);
+  const responses = await Promise.all(Array.from({ length: 5 }, (_, i) => fetch(`${baseUrl}/state`, {
+    method: "PUT",
+    headers: { "If-Match": "*" },
+    body: JSON.stringify({ values: { sortMode: { value: `mode${i}`, updated: i } } })
+  })));
+  assert.deepStrictEqual(responses.map(response => response.status), [200, 200, 200, 200, 200]);
+  assert.strictEqual(new Set(responses.map(response => response.headers.get("ETag"))).size, 5);
+  const state = await (await fetch(`${baseUrl}/state`)).json();
+  assert.match(state.values.sortMode.value, /^mode\d$/);
+});
@@ -2,19 +2,93 @@
 // (c) 2020 Bertrand Le Roy
 
 // Uncomment during development to start from an empty local cache:
-clearLocalStore();
+// clearLocalStore();
 
 // Settings
 
 const settings = {
   // URL of the subscriptions OPML file:
-  subscriptions: "subscriptions"
+  subscriptions: "subscriptions",
+  // URL of the personal state synced with the server:
+  state: "state",
+  // Number of seconds to wait after a change before syncing the state, to send changes made in a row together:
+  syncDelay: 10,
+  // Number of times a sync is tried when another device changed the state at the same time:
+  syncAttempts: 3,
+  // Number of days the synced state of a posting is kept after its last change, once the posting is gone from its feed
+  // or back to its default state, so that the other devices see the change:
+  syncedPostingDays: 30,
+  // Icon of subscriptions until their own is known:
+  defaultIcon: "./favicon-32x32.png",
+  // Name of the IndexedDB database where subscriptions and postings are persisted:
+  database: "tubular-9000",
+  // Maximum number of postings persisted for each subscription:
+  maxStoredPostings: 100,
+  // Number of characters shown around search matches in descriptions:
+  snippetContext: 60,
+  // Number of milliseconds to wait after the last keystroke before searching:
+  searchDelay: 200,
+  // Number of subscriptions refreshed at the same time:
+  refreshConcurrency: 4,
+  // Number of minutes between automatic refreshes, or 0 to only refresh on startup and on demand:
+  autoRefreshInterval: 30,
+  // Number of postings shown in the preview of a subscription before adding it:
+  previewPostings: 8,
+  // Number of seconds between saves of the playback position while playing:
+  positionStoreInterval: 10,
+  // Number of postings in the blocks of the timeline, that are rendered when they come near the viewport:
+  timelineBlockSize: 24,
+  // Distance in pixels from the viewport within which blocks of the timeline are rendered:
+  timelineMargin: 1500,
+  // Number of view counts recorded for each posting, one for each refresh where the count changed:
+  maxViewHistory: 30,
+  // Number of days after which the recency of a posting halves its trending score:
+  trendingHalfLife: 3,
+  // Maximum ranking weight of a subscription:
+  maxSubscriptionWeight: 10,
+  // Number of new postings listed in a notification, after which they're only counted:
+  notificationLines: 5,
+  // Maximum number of characters of the patterns of mute rules:
+  maxRulePatternLength: 200
 };
 
 // Local data
 
+// The server profile from the /p/<name>/ prefix of the URL, whose local state is kept apart from other profiles':
+const profile = (/^\/p\/([^/]+)\//.exec(location.pathname) || [])[1] || null;
 let subscriptions = [];
 let selectedSubscription = "*";
+let folders = [];
+let searchQuery = null;
+let hideWatched = false;
+let sortMode = "newest";
+let muteRules = [];
+// Quiet hours during which new postings aren't notified, as {start, end} times in HH:MM format, or null for none:
+let quietHours = null;
+// New postings of the subscriptions that notify of them, waiting for a notification:
+let pendingNotifications = [];
+let subscriptionsBar = {};
+let foldersBar = {};
+let rulesPanel = {};
+let addPanel = {};
+let queuePanel = {};
+let notificationsPanel = {};
+// The sync of the state with the server that's running, and the timer of the next one:
+let runningSync = null;
+let syncTimer = null;
+// The error of the last sync, shown until a sync succeeds:
+const syncStatus = {
+  error: null
+};
+const refreshProgress = {
+  running: false,
+  total: 0,
+  done: 0,
+  failed: 0,
+  queue: [],
+  active: [],
+  controller: null
+};
 
 // Class definitions
 
@@ -25,11 +99,25 @@ class Subscription {
   constructor(options) {
     this.title = options.title;
     this.url = options.url;
+    this.id = options.url ? encodeURIComponent(options.url) : undefined;
     this.pageUrl = options.pageUrl;
-    this.icon = options.icon || "./favicon-32x32.png";
+    this.folder = options.folder || [];
+    this.icon = options.icon || settings.defaultIcon;
+    this.feedIcon = options.feedIcon;
     this.detailsFetched = !!options.detailsFetched;
     this.postings = [];
-    this.hwm = new Date(0);
+    this.hwm = options.hwm || new Date(0);
+    // The high-water mark at the start of the visit, after which postings are shown as new:
+    this.newSince = this.hwm;
+    // The speed at which the postings of the subscription are played:
+    this.playbackRate = options.playbackRate || 1;
+    // What the ranking scores of the postings of the subscription are multiplied by, to rank favorites higher:
+    this.weight = options.weight === undefined ? 1 : options.weight;
+    // True to get a notification of the new postings that refreshes find while the page isn't looked at:
+    this.notify = !!options.notify;
+    this.selected = false;
+    // The message of the error of the last refresh, if it failed:
+    this.error = null;
   }
 
   /**
@@ -41,8 +129,11 @@ class Subscription {
       console.error(`Can't add a posting without an id: {posting}`);
       return;
     }
-    const index = this.postings.findIndex(p => p.id === posting.id);
+    const index = this.postings.findIndex(p => p.key === posting.key);
     if (index !== -1) {
+      if (this.postings[index] !== posting) {
+        posting.keepUserStateOf(this.postings[index]);
+      }
       this.postings[index] = posting;
     }
     else {
@@ -56,6 +147,27 @@ class Subscription {
       }
     }
   }
+
+  /**
+   * The number of postings that are new since the start of the visit and haven't been watched
+   */
+  get unseenCount() {
+    return this.postings.filter(p => !p.watched && !p.mutedBy && p.published > this.newSince).length;
+  }
+
+  /**
+   * Moves the high-water mark to the most recent posting
+   * @param {boolean} keepNew True to keep showing the postings after the previous mark as new,
+   * as when they were just fetched by a refresh
+   */
+  updateHwm(keepNew) {
+    if (this.postings.length > 0 && this.postings[0].published > this.hwm) {
+      this.hwm = this.postings[0].published;
+    }
+    if (!keepNew) {
+      this.newSince = this.hwm;
+    }
+  }
 }
 
 /**
@@ -64,70 +176,251 @@ class Subscription {
 class MetaSubscription extends Subscription {
   constructor(options) {
     super(options);
-    this.postingsElements = options.postingsElements || [];
+    this.timeline = options.timeline || null;
     this.player = options.player || {};
+    this.filter = options.filter || (() => true);
+    this.mute = options.mute || (() => null);
+    this.rank = options.rank || (() => null);
+    // The postings queued for playing, in order, the posting being played, and what keeps its position and speed
+    this.queue = [];
+    this.playing = null;
+    this.playback = null;
   }
 
   /**
-   * Adds a posting to the subscription
+   * Adds a posting to the subscription. Postings are rendered one at a time, so that subscriptions that are refreshed
+   * at the same time don't insert their postings relative to elements that are being replaced.
    * @param {Posting} posting The posting to add to the subscription
    */
   async addPosting(posting) {
+    await this.timeline.schedule(() => this.renderPosting(posting));
+  }
+
+  /**
+   * Finds if a posting is shown in the timeline, which it isn't if it's filtered out or hidden by a mute rule
+   * @param {Posting} posting The posting
+   * @returns {boolean} True if the posting is shown
+   */
+  isShown(posting) {
+    return this.filter(posting) && !(posting.mutedBy && posting.mutedBy.action === "hide");
+  }
+
+  /**
+   * Renders a posting at its place in the timeline, re-renders it if it's already there,
+   * or removes it from the timeline if it's no longer shown
+   * @param {Posting} posting The posting to render
+   */
+  async renderPosting(posting) {
     if (!posting.id) {
       console.error(`Can't add a posting without an id: {posting}`);
       return;
     }
-    const index = this.postings.findIndex(p => p.posting.id === posting.id);
-    const elements = [];
+    posting.mutedBy = this.mute(posting);
+    const index = this.postings.findIndex(p => p.key === posting.key);
     if (index !== -1) {
-      await forEach(this.postingsElements, async (el, i) => {
-        elements[i] = await render(posting, {
-          usingTemplate: el.template,
-          replacing: this.postings[index].elements[i][0]
-        });
-      });
-      // console.log(`Replacing ${posting.title} found at index ${index}.`);
-      this.postings[index] = { posting, elements };
+      // Keep the queue and the player pointing to the latest version of the posting
+      const queueIndex = this.queue.findIndex(p => p.key === posting.key);
+      if (queueIndex !== -1) {
+        this.queue[queueIndex] = posting;
+      }
+      if (this.playing && this.playing.key === posting.key) {
+        this.playing = posting;
+        this.playback.posting = posting;
+      }
+      this.postings[index] = posting;
     }
     else {
-      const insertIndex = this.postings.findIndex(p => posting.published < p.posting.published);
-      if (insertIndex !== -1)
-      {
-        await forEach(this.postingsElements, async (el, i) => {
-          elements[i] = await render(posting, {
-            usingTemplate: el.template,
-            after: this.postings[insertIndex].elements[i][0]
-          });
-        });
-        // console.log(`Inserting ${posting.title} from ${new Intl.DateTimeFormat().format(posting.published)} before ${this.postings[insertIndex].posting.title} from ${new Intl.DateTimeFormat().format(this.postings[insertIndex].posting.published)}.`);
-        this.postings.splice(insertIndex, 0, { posting, elements });
-      }
-      else {
-        await forEach(this.postingsElements, async (el, i) => {
-          elements[i] = await render(posting, {
-            usingTemplate: el.template,
-            atStartOf: el.element
-          });
-        });
-        // console.log(`Appending ${posting.title} from ${new Intl.DateTimeFormat().format(posting.published)}.`);
-        this.postings.push({ posting, elements });
+      const insertIndex = this.postings.findIndex(p => posting.published >= p.published);
+      this.postings.splice(insertIndex === -1 ? this.postings.length : insertIndex, 0, posting);
+    }
+    if (!this.isShown(posting)) {
+      this.timeline.remove(posting);
+    }
+    else if (this.timeline.has(posting)) {
+      await this.timeline.update(posting);
+    }
+    else {
+      await this.timeline.insert(posting);
+    }
+    this.updateDivider();
+  }
+
+  /**
+   * Plays a posting in the player, or opens it in a new tab if it can't be played here, and marks it as watched
+   * @param {Posting} posting The posting to play
+   */
+  async play(posting) {
+    if (posting.mutedBy) return;
+    await setWatched([posting], true);
+    if (posting.player === "link") {
+      window.open(posting.url, "_blank");
+      return;
+    }
+    this.stopPlayback();
+    unrender([...this.player.stage.childNodes]);
+    await render(posting, {
+      usingTemplate: this.player.template,
+      atStartOf: this.player.stage
+    });
+    this.playing = posting;
+    this.playback = attachPlayback(posting, this.player.stage, () => this.playNext());
+    this.player.element.style.visibility = "visible";
+    await renderQueue();
+  }
+
+  /**
+   * Stops and hides the player
+   */
+  async closePlayer() {
+    this.stopPlayback();
+    unrender([...this.player.stage.childNodes]);
+    this.player.element.style.visibility = "hidden";
+    this.playing = null;
+    await renderQueue();
+  }
+
+  /**
+   * Saves the position of the posting being played, and stops following its playback
+   */
+  stopPlayback() {
+    if (this.playback) {
+      this.playback.stop();
+      this.playback = null;
+    }
+  }
+
+  /**
+   * Plays the posting after the one being played in the queue. If what's being played isn't queued, plays the first
+   * unwatched posting of the queue, or its first posting. Closes the player at the end of the queue.
+   */
+  async playNext() {
+    const index = this.queue.indexOf(this.playing);
+    const playable = this.queue.filter(posting => !posting.mutedBy);
+    const next = index !== -1 ?
+      this.queue.slice(index + 1).find(posting => !posting.mutedBy) :
+      playable.find(posting => !posting.watched) || playable[0];
+    if (next) {
+      await this.play(next);
+    }
+    else if (this.playing) {
+      await this.closePlayer();
+    }
+  }
+
+  /**
+   * Plays the posting before the one being played in the queue
+   */
+  async playPrevious() {
+    const index = this.queue.indexOf(this.playing);
+    const previous = index > 0 ? this.queue.slice(0, index).reverse().find(posting => !posting.mutedBy) : null;
+    if (previous) {
+      await this.play(previous);
+    }
+  }
+
+  /**
+   * Adds a posting at the end of the queue, or removes it from the queue if it's already there
+   * @param {Posting} posting The posting
+   */
+  async toggleQueued(posting) {
+    const index = this.queue.indexOf(posting);
+    if (index === -1) {
+      this.queue.push(posting);
+    }
+    else {
+      this.queue.splice(index, 1);
+    }
+    await this.queueChanged([posting]);
+  }
+
+  /**
+   * Adds postings at the end of the queue, except the ones that are already queued or can't be played here
+   * @param {Array<Posting>} postings The postings
+   */
+  async enqueue(postings) {
+    const added = postings.filter(posting => posting.player !== "link" && !this.queue.includes(posting));
+    this.queue.push(...added);
+    await this.queueChanged(added);
+  }
+
+  /**
+   * Moves a posting up or down the queue
+   * @param {Posting} posting The queued posting
+   * @param {number} offset The number of places to move it by, negative to move it up
+   */
+  async moveInQueue(posting, offset) {
+    const index = this.queue.indexOf(posting);
+    const target = Math.min(Math.max(index + offset, 0), this.queue.length - 1);
+    if (index === -1 || target === index) return;
+    this.queue.splice(index, 1);
+    this.queue.splice(target, 0, posting);
+    await this.queueChanged([]);
+  }
+
+  /**
+   * Removes the watched postings from the queue, except the one being played
+   */
+  async removeWatchedFromQueue() {
+    const removed = this.queue.filter(posting => posting.watched && posting !== this.playing);
+    this.queue = this.queue.filter(posting => !removed.includes(posting));
+    await this.queueChanged(removed);
+  }
+
+  /**
+   * Persists the queue, and renders it along with postings that were added to it or removed from it
+   * @param {Array<Posting>} postings The postings that were added or removed
+   */
+  async queueChanged(postings) {
+    localStore("queue", JSON.stringify(this.queue.map(posting => [posting.subscription.url, posting.id])));
+    await forEach(postings, async posting => await this.addPosting(posting));
+    await renderQueue();
+  }
+
+  /**
+   * Rebuilds the timeline with the postings that pass the filter, in the order of the current ranking
+   */
+  async applyFilter() {
+    await this.timeline.schedule(async () => {
+      this.timeline.ranking = this.rank();
+      await this.timeline.reset(this.postings.filter(posting => this.isShown(posting)));
+      this.updateDivider();
+    });
+  }
+
+  /**
+   * Moves the "new since last visit" divider above the most recent shown posting that's older than the high-water mark,
+   * or hides it if there's nothing new or nothing old, or if the postings are ranked instead of sorted by date
+   */
+  updateDivider() {
+    if (this.timeline.ranking) {
+      this.timeline.setDivider(null);
+      return;
+    }
+    let hasNew = false;
+    for (let posting of this.postings) {
+      if (!this.isShown(posting)) continue;
+      if (posting.published <= this.hwm) {
+        this.timeline.setDivider(hasNew ? posting : null);
+        return;
       }
+      hasNew = true;
     }
-    for (let el of elements) {
-      el[0].addEventListener("click", async () => {
-        console.log(posting);
-        this.player.element.innerHTML = "";
-        await render(posting, {
-          usingTemplate: this.player.template,
-          atStartOf: this.player.element
-        });
-        document.getElementById("player-close").addEventListener("click", () => {
-          this.player.element.innerHTML = "";
-          this.player.element.style.visibility = "hidden";
-        });
-        this.player.element.style.visibility = "visible";
+    this.timeline.setDivider(null);
+  }
+
+  /**
+   * Removes all the postings of a subscription, and their rendered elements
+   * @param {Subscription} sub The subscription whose postings to remove
+   */
+  async removePostings(sub) {
+    await this.timeline.schedule(() => {
+      this.postings = this.postings.filter(posting => {
+        if (posting.subscription !== sub) return true;
+        this.timeline.remove(posting);
+        return false;
       });
-    }
+      this.updateDivider();
+    });
   }
 }
 
@@ -144,356 +437,3387 @@ class Posting {
     this.title = options.title || "[untitled]";
     this.url = options.url;
     this.media = options.media;
-    this.thumbnail = options.thumbnail;
-    this.published = options.published;
-    this.updated = options.updated;
+    this.thumbnail = options.thumbnail || { url: "./tubular.png" };
+    this.published = options.published || options.updated || new Date(0);
+    this.updated = options.updated || this.published;
     this.description = options.description || "";
+    this.duration = options.duration || "";
     this.starRating = options.starRating || 0;
     this.views = options.views || 0;
+    // How the media gets played: "youtube", "video", "audio", or "link" to open it in a new tab
+    this.player = options.player || "link";
+    this.watched = !!options.watched;
+    this.unmuted = !!options.unmuted;
+    // Number of seconds into the media where playback was left, to resume from there:
+    this.position = options.position || 0;
+    // Time when the user last changed the watched, unmuted or position state, to sync it:
+    this.stateUpdated = options.stateUpdated || 0;
+    // The view counts seen by the refreshes, oldest first:
+    this.viewHistory = options.viewHistory || [];
     this.subscription = options.subscription;
   }
-}
 
-// Async helpers
-
-const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+  /**
+   * The key of the posting among the postings of all subscriptions, as only YouTube ids are unique across feeds,
+   * and the ids of other feeds are only unique within their feed
+   */
+  get key() {
+    return `${this.subscription.url} ${this.id}`;
+  }
 
-/**
- * Calls an async function on each element of an array
- * @param {Array} array The array over which to enumerate
- * @param {AsyncFunction} fun The async function to apply on each array element
- */
-async function forEach(array, fun)
-{
-  let i = 0;
-  for await (let item of array) {
-    await fun(item, i++);
+  /**
+   * Records the view count of the posting after the counts recorded for its previous version, if it changed
+   * @param {Array<{date: Date, views: number}>} history The view counts recorded for the previous version
+   */
+  recordViews(history) {
+    const last = history[history.length - 1];
+    this.viewHistory = (last ? last.views === this.views : !this.views) ?
+      history :
+      [...history, { date: new Date(), views: this.views }].slice(-settings.maxViewHistory);
   }
-}
 
-/**
- * Recursively enumerates the elements of an array, flattens it and applies a mapping to each element
- * @param {Array} array The array over which to enumerate
- * @param {AsyncFunction} mapping The async mapping to apply to each array element
- */
-async function* flatMap(array, mapping) {
-  let i = 0;
-  for await (let item of array) {
-    if (isArray(item)) {
-      for await(let nested of flatMap(item)) {
-        yield await mapping(nested, i++);
-      }
-    } else {
-      yield await mapping(item, i++);
-    }
+  /**
+   * Copies the state that the user gave to a previous version of the same posting
+   * @param {Posting} previous The previous version of the posting
+   */
+  keepUserStateOf(previous) {
+    this.watched = previous.watched;
+    this.unmuted = previous.unmuted;
+    this.position = previous.position;
+    this.stateUpdated = previous.stateUpdated;
   }
 }
 
-// Network
-
-const domParser = new DOMParser();
-
 /**
- * @callback xmlRequestCallback
- * @param {Document} document The document
+ * How the postings of the timeline are ranked
+ * @typedef {object} Ranking
+ * @property {string} title The title of the group of ranked postings
+ * @property {function(Posting): number} score The score of a posting, that higher ranks higher
  */
 
 /**
- * Loads an XML resource from the network.
- * @param {string} url The URL of the resource to fetch
- * @param {string} mimeType The mimetype to use to parse the document. Default is "application/xml".
- * @param {Subscription} subscription an optional subscription used to give more context in case of a failure.
+ * The postings shown in the feed, newest first and grouped under date headers, or ranked under a single header.
+ * The postings of each group are split into blocks that are only rendered when they come near the viewport,
+ * and emptied when they go away from it, keeping their height so that the page can still be scrolled through all of them.
  */
-async function loadDocument(url, mimeType, subscription) {
-  const response = await fetch(new Request(url));
-  if (!response.ok) {
-    throw new Error(subscription ?
-      `HTTP error downloading ${subscription.title}! status: ${response.status}` :
-      `HTTP error downloading ${url}! status: ${response.status}`);
+class Timeline {
+  constructor(options) {
+    this.element = options.element;
+    this.template = options.template;
+    this.groupTemplate = options.groupTemplate;
+    this.divider = options.divider;
+    this.highlight = options.highlight || (() => {});
+    // How the postings are ranked, or null to sort them by date
+    this.ranking = null;
+    // The groups, in order, each with its blocks of postings
+    this.groups = [];
+    // The block and the rendered element of each shown posting, by posting key
+    this.entries = new Map();
+    // The blocks, by element
+    this.blocks = new WeakMap();
+    // The posting that the divider goes before, if any
+    this.dividerPosting = null;
+    // The start of the day the groups were made on, as their titles are relative to it
+    this.today = null;
+    // Height in pixels of a posting, measured on the rendered blocks, to give their height to the ones never rendered
+    this.postingHeight = 50;
+    this.rendering = Promise.resolve();
+    // Without intersection observers, all blocks are rendered
+    this.observer = typeof(IntersectionObserver) === "undefined" ? null : new IntersectionObserver(observed => {
+      for (let entry of observed) {
+        const block = this.blocks.get(entry.target);
+        if (block) block.near = entry.isIntersecting;
+      }
+      this.schedule(() => this.renderNearBlocks());
+    }, { rootMargin: `${settings.timelineMargin}px 0px` });
   }
-  const xml = await response.text();
-  const doc = domParser.parseFromString(xml, mimeType || "application/xml");
-  return doc;
-}
-
-// Template rendering
 
-const interpolationCache = {};
-
-/**
- * Dynamically interpolates a string using the provided data.
- * @param {string} format The format string in the string interpolation format
- * @param {object} params The dictionary of available data to use when interpolating
- */
-async function interpolate(format, params) {
-  const names = Object.keys(params);
-  const values = Object.values(params);
-  const key = `${format}(${names.join(",")})`;
-  if (interpolationCache[key]) {
-    return await interpolationCache[key](...values);
+  /**
+   * Runs a task once the previous ones are done, so that changes to the timeline don't interleave
+   * @param {function} task The task, that can be async
+   * @returns {Promise} The result of the task
+   */
+  schedule(task) {
+    const done = this.rendering.then(task);
+    this.rendering = done.catch(() => {});
+    return done;
   }
-  // console.log(`interpolating: \"${`return \`${format}\`;`}\"`);
-  return await (interpolationCache[key] = new AsyncFunction(...names, `return \`${format}\`;`))(...values);
-}
 
-/**
- * Evaluates an expression
- * @param {string} expression The expression to evaluate
- * @param {object} params The dictionary of available data to evaluate against
- * @return {*} the result of evaluating the expression
- */
-async function evaluate(expression, params) {
-  const names = Object.keys(params);
-  const values = Object.values(params);
-  const key = `expr:${expression}(${names})`;
-  if (interpolationCache[key]) {
-    return await interpolationCache[key](...values);
+  /**
+   * Compares postings by ranking score, and then by date, newest first
+   * @param {Posting} posting1 The first posting
+   * @param {Posting} posting2 The second posting
+   * @returns {number} A negative number if the first posting goes first, a positive one if it goes last, or 0
+   */
+  compare(posting1, posting2) {
+    if (this.ranking) {
+      const difference = this.ranking.score(posting2) - this.ranking.score(posting1);
+      if (difference !== 0) return difference;
+    }
+    return posting2.published - posting1.published;
   }
-  // console.log(`evaluating: \"${`return ${expression};`}\"`);
-  return await (interpolationCache[key] = new AsyncFunction(...names, `return ${expression};`))(...values);
-}
 
-/**
- * Binds attributes, text elements and child elements to the provided data.
- * @param {Element} template The template to bind
- * @param {object} data The dictionary of data available to binding expressions
- * @returns {Array<Element>} The rendered element or elements
- */
-async function bind(template, data) {
-  // Clone the template
-  const clonedTemplate = template.cloneNode(true);
-  // If the template is parented, un-parent it
-  if (template.parentNode) {
-    template.parentNode.removeChild(template);
+  /**
+   * Gets the group of a posting: the group of its date relative to the day the groups were made on,
+   * or the single group of ranked postings
+   * @param {Posting} posting The posting
+   * @returns {{key: string, title: string, start: Date}} The key, title and start date of the group
+   */
+  getGroup(posting) {
+    if (this.ranking) return { key: "ranked", title: this.ranking.title, start: new Date(0) };
+    const date = posting.published;
+    const today = new Date(this.today);
+    const daysAgo = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+    if (date >= today) return { key: "today", title: "Today", start: today };
+    if (date >= daysAgo(1)) return { key: "yesterday", title: "Yesterday", start: daysAgo(1) };
+    if (date >= daysAgo(6)) return { key: "week", title: "This week", start: daysAgo(6) };
+    const month = new Date(date.getFullYear(), date.getMonth(), 1);
+    return {
+      key: `${month.getFullYear()}-${month.getMonth() + 1}`,
+      title: new Intl.DateTimeFormat(undefined, { year: "numeric", month: "long" }).format(month),
+      start: month
+    };
   }
-  // Make "self" a property of the data object pointing to itself
-  if (typeof(data) === "object") {
-    data.self = data;
+
+  /**
+   * Gets the start of the current day
+   * @returns {number} The time of the start of the day
+   */
+  getToday() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
   }
-  else {
-    data = {self: data};
+
+  /**
+   * Finds if a posting is in the timeline
+   * @param {Posting} posting The posting
+   * @returns {boolean} True if a posting with the same key is in the timeline
+   */
+  has(posting) {
+    return this.entries.has(posting.key);
   }
-  // Check for loop
-  if (clonedTemplate.hasAttribute("data-foreach")) {
-    const foreachExpression = clonedTemplate.getAttribute("data-foreach");
-    const forEachArray = await evaluate(foreachExpression, data);
-    if (!Array.isArray(forEachArray)) {
-      throw new Error(`Expression \`${foreachExpression}\` didn't evaluate to an array.`);
-    }
-    return Array.from(flatMap(forEachArray, async item => {
-      const loopedEl = clonedTemplate.cloneNode(true);
-      loopedEl.removeAttribute("data-foreach");
-      return await bind(loopedEl, item);
-    }));
+
+  /**
+   * Gets the postings of the timeline, in order
+   * @returns {Array<Posting>} The postings
+   */
+  getPostings() {
+    return this.groups.flatMap(group => group.blocks.flatMap(block => block.postings));
   }
-  // Check for conditional rendering
-  if (clonedTemplate.hasAttribute("data-if")) {
-    if (!await evaluate(clonedTemplate.getAttribute("data-if"), data)) {
-      return [];
+
+  /**
+   * Replaces all the postings of the timeline
+   * @param {Array<Posting>} postings The postings, in any order
+   */
+  async reset(postings) {
+    for (let entry of this.entries.values()) {
+      this.unrenderPosting(entry);
     }
-    //clonedTemplate.removeAttribute("data-if");
-  }
-  // Clone the template again for rendering
-  const el = clonedTemplate.cloneNode(true);
-  // Remove id from the cloned element
-  if (el.hasAttribute("id")) {
-    el.removeAttribute("id");
-  }
-  // Bind all attributes and rename them if they're data attributes
-  await forEach([...el.attributes], async attr => {
-    const isDataAttribute = attr.name.substring(0, 5) === "data-";
-    const attrName = isDataAttribute ? attr.name.substring(5) : attr.name;
-    el.setAttribute(attrName, await interpolate(attr.nodeValue, data));
-    if (isDataAttribute) {
-      el.removeAttribute(attr.name);
+    for (let group of this.groups) {
+      group.blocks.forEach(block => this.removeBlockElement(block));
+      unrender([group.element]);
     }
-  });
-  // Bind child elements and text nodes
-  await forEach([...el.childNodes], async child => {
-    if (child.nodeType === Node.TEXT_NODE) {
-      child.nodeValue = await interpolate(child.nodeValue, data);
+    this.divider.remove();
+    this.groups = [];
+    this.entries = new Map();
+    this.today = this.getToday();
+    for (let posting of [...postings].sort((posting1, posting2) => this.compare(posting1, posting2))) {
+      const group = await this.findGroup(posting);
+      let block = group.blocks[group.blocks.length - 1];
+      if (!block || block.postings.length >= settings.timelineBlockSize) {
+        block = this.createBlock(group, group.blocks.length);
+      }
+      block.postings.push(posting);
+      this.entries.set(posting.key, { posting, block, element: null });
     }
-    else if (child.nodeType === Node.ELEMENT_NODE) {
-      el.append(...(await bind(child, data)));
+    for (let group of this.groups) {
+      group.blocks.forEach(block => this.sizeBlock(block));
     }
-  });
-  // Remember that this element was bound to that piece of data, for future updates
-  (data.elements || (data.elements = [])).push({element: el, template: clonedTemplate});
-  return [el];
-}
+    await this.renderNearBlocks();
+  }
 
-/**
- * Renders data using a template.
- * @param {object} data The data to render
- * @param {{ usingTemplate: Element, atEndOf: Element, atStartOf: Element, replacing: Element, after: Element, before: Element }} options The template to use and where to render it
- * @returns {Array<Element>} The rendered element or elements
- */
-async function render(data, options) {
-  const elements = await bind(options.usingTemplate, data);
-  if (elements) {
-    if (options.atEndOf) {
-      const container = options.atEndOf;
-      container.append(...elements);
+  /**
+   * Inserts a posting at its place in the timeline, before the postings that compare equal to it
+   * @param {Posting} posting The posting
+   */
+  async insert(posting) {
+    if (this.today !== this.getToday()) {
+      // The groups of the previous day are relative to it
+      await this.reset(this.getPostings());
     }
-    if (options.atStartOf) {
-      const container = options.atStartOf;
-      container.prepend(...elements);
+    const group = await this.findGroup(posting);
+    let block = null;
+    let index = -1;
+    for (let candidate of group.blocks) {
+      index = candidate.postings.findIndex(p => this.compare(posting, p) <= 0);
+      if (index !== -1) {
+        block = candidate;
+        break;
+      }
     }
-    if (options.replacing) {
-      if (elements.length !== 1) {
-        console.warn("Template failed to render as a single element for use with 'replacing'.");
+    if (!block) {
+      block = group.blocks[group.blocks.length - 1] || this.createBlock(group, 0);
+      index = block.postings.length;
+    }
+    block.postings.splice(index, 0, posting);
+    const entry = { posting, block, element: null };
+    this.entries.set(posting.key, entry);
+    if (block.rendered) {
+      const next = block.postings[index + 1];
+      await this.renderPosting(entry, next ? { before: this.entries.get(next.key).element } : { atEndOf: block.element });
+    }
+    else if (block.near) {
+      await this.renderBlock(block);
+    }
+    else {
+      this.sizeBlock(block);
+    }
+    if (block.postings.length > 2 * settings.timelineBlockSize) {
+      this.splitBlock(block);
+    }
+    this.placeDivider();
+  }
+
+  /**
+   * Re-renders a posting that's in the timeline, with a new version of it, moving it if it no longer ranks the same
+   * @param {Posting} posting The posting
+   */
+  async update(posting) {
+    const entry = this.entries.get(posting.key);
+    if (this.compare(entry.posting, posting) !== 0) {
+      this.remove(entry.posting);
+      await this.insert(posting);
+      return;
+    }
+    const block = entry.block;
+    block.postings[block.postings.indexOf(entry.posting)] = posting;
+    const previous = entry.posting;
+    entry.posting = posting;
+    if (entry.element) {
+      const replaced = entry.element;
+      await this.renderPosting(entry, { replacing: replaced });
+      forgetRendering(previous, replaced);
+      this.placeDivider();
+    }
+  }
+
+  /**
+   * Removes a posting from the timeline, if it's there
+   * @param {Posting} posting The posting
+   */
+  remove(posting) {
+    const entry = this.entries.get(posting.key);
+    if (!entry) return;
+    this.unrenderPosting(entry);
+    this.entries.delete(posting.key);
+    const block = entry.block;
+    block.postings.splice(block.postings.indexOf(entry.posting), 1);
+    if (block.postings.length > 0) {
+      if (!block.rendered) this.sizeBlock(block);
+      return;
+    }
+    const group = block.group;
+    this.removeBlockElement(block);
+    group.blocks.splice(group.blocks.indexOf(block), 1);
+    if (group.blocks.length === 0) {
+      unrender([group.element]);
+      this.groups.splice(this.groups.indexOf(group), 1);
+    }
+  }
+
+  /**
+   * Sets the posting that the "new since last visit" divider goes before
+   * @param {Posting} posting The posting, or null to hide the divider
+   */
+  setDivider(posting) {
+    this.dividerPosting = posting;
+    this.placeDivider();
+  }
+
+  /**
+   * Puts the divider before its posting, or removes it if that posting isn't rendered
+   */
+  placeDivider() {
+    const entry = this.dividerPosting ? this.entries.get(this.dividerPosting.key) : null;
+    if (!entry || !entry.element) {
+      this.divider.remove();
+    }
+    else if (entry.element.previousElementSibling !== this.divider) {
+      entry.element.before(this.divider);
+    }
+  }
+
+  /**
+   * Finds the group of a posting, rendering its header if it's a new group
+   * @param {Posting} posting The posting
+   * @returns {Promise<object>} The group
+   */
+  async findGroup(posting) {
+    const found = this.getGroup(posting);
+    const index = this.groups.findIndex(group => group.start <= found.start);
+    if (index !== -1 && this.groups[index].key === found.key) return this.groups[index];
+    const group = Object.assign(found, { blocks: [] });
+    const next = index === -1 ? null : this.groups[index];
+    [group.element] = await render(group, next ?
+      { usingTemplate: this.groupTemplate, before: next.element } :
+      { usingTemplate: this.groupTemplate, atEndOf: this.element });
+    this.groups.splice(index === -1 ? this.groups.length : index, 0, group);
+    return group;
+  }
+
+  /**
+   * Creates an empty block in a group
+   * @param {object} group The group
+   * @param {number} index The position of the block in the group
+   * @returns {object} The block
+   */
+  createBlock(group, index) {
+    const block = { group, postings: [], element: document.createElement("div"), rendered: false, near: !this.observer };
+    block.element.className = "row timeline-block";
+    const next = group.blocks[index];
+    if (next) {
+      next.element.before(block.element);
+    }
+    else {
+      group.element.append(block.element);
+    }
+    group.blocks.splice(index, 0, block);
+    this.blocks.set(block.element, block);
+    if (this.observer) this.observer.observe(block.element);
+    return block;
+  }
+
+  /**
+   * Removes the element of a block from the document
+   * @param {object} block The block
+   */
+  removeBlockElement(block) {
+    if (this.observer) this.observer.unobserve(block.element);
+    block.element.remove();
+  }
+
+  /**
+   * Splits a block that grew too large in two
+   * @param {object} block The block
+   */
+  splitBlock(block) {
+    const group = block.group;
+    const moved = block.postings.splice(Math.ceil(block.postings.length / 2));
+    const next = this.createBlock(group, group.blocks.indexOf(block) + 1);
+    next.postings = moved;
+    next.rendered = block.rendered;
+    next.near = block.near;
+    for (let posting of moved) {
+      const entry = this.entries.get(posting.key);
+      entry.block = next;
+      if (entry.element) next.element.append(entry.element);
+    }
+    if (!block.rendered) {
+      this.sizeBlock(block);
+      this.sizeBlock(next);
+    }
+  }
+
+  /**
+   * Gives an empty block the estimated height of its postings
+   * @param {object} block The block
+   */
+  sizeBlock(block) {
+    block.element.style.height = `${Math.round(block.postings.length * this.postingHeight)}px`;
+  }
+
+  /**
+   * Renders the postings of a block
+   * @param {object} block The block
+   */
+  async renderBlock(block) {
+    block.rendered = true;
+    block.element.style.height = "";
+    for (let posting of block.postings) {
+      await this.renderPosting(this.entries.get(posting.key), { atEndOf: block.element });
+    }
+  }
+
+  /**
+   * Removes the rendered postings of a block, keeping its height
+   * @param {object} block The block
+   */
+  unrenderBlock(block) {
+    const height = block.element.getBoundingClientRect().height;
+    if (height > 0) {
+      this.postingHeight = height / block.postings.length;
+    }
+    for (let posting of block.postings) {
+      this.unrenderPosting(this.entries.get(posting.key));
+    }
+    block.rendered = false;
+    if (height > 0) {
+      block.element.style.height = `${Math.round(height)}px`;
+    }
+    else {
+      // Not laid out, as when the timeline is hidden
+      this.sizeBlock(block);
+    }
+  }
+
+  /**
+   * Renders the blocks that are near the viewport, and empties the others
+   */
+  async renderNearBlocks() {
+    for (let group of this.groups) {
+      for (let block of group.blocks) {
+        if (block.near && !block.rendered) {
+          await this.renderBlock(block);
+        }
+        else if (!block.near && block.rendered) {
+          this.unrenderBlock(block);
+        }
+      }
+    }
+    this.placeDivider();
+  }
+
+  /**
+   * Renders a posting of the timeline
+   * @param {{posting: Posting, element: Element}} entry The posting and its rendered element
+   * @param {object} position Where to render the posting, as options of render()
+   */
+  async renderPosting(entry, position) {
+    const [element] = await render(entry.posting, Object.assign({ usingTemplate: this.template }, position));
+    entry.element = element;
+    this.highlight(entry.posting, element);
+  }
+
+  /**
+   * Removes the rendered element of a posting of the timeline, if it has one
+   * @param {{posting: Posting, element: Element}} entry The posting and its rendered element
+   */
+  unrenderPosting(entry) {
+    if (!entry.element) return;
+    unrender([entry.element]);
+    forgetRendering(entry.posting, entry.element);
+    entry.element = null;
+  }
+}
+
+// Async helpers
+
+/**
+ * Calls an async function on each element of an array
+ * @param {Array} array The array over which to enumerate
+ * @param {AsyncFunction} fun The async function to apply on each array element
+ */
+async function forEach(array, fun)
+{
+  let i = 0;
+  for await (let item of array) {
+    await fun(item, i++);
+  }
+}
+
+/**
+ * Recursively enumerates the elements of an array, flattens it and applies a mapping to each element
+ * @param {Array} array The array over which to enumerate
+ * @param {AsyncFunction} mapping The async mapping to apply to each array element
+ */
+async function* flatMap(array, mapping) {
+  let i = 0;
+  for await (let item of array) {
+    if (Array.isArray(item)) {
+      for await(let nested of flatMap(item, mapping)) {
+        yield nested;
+      }
+    } else {
+      yield await mapping(item, i++);
+    }
+  }
+}
+
+// Network
+
+const domParser = new DOMParser();
+
+// The cookie where the server puts the token that must accompany requests that change something, when login is required
+const csrfCookie = "tubular_csrf";
+
+/**
+ * Gets the token the server expects with requests that change something, from the login session.
+ * @returns {string} The token, or null if the server doesn't require login
+ */
+function getCsrfToken() {
+  const cookie = document.cookie.split(";")
+    .map(c => c.trim())
+    .find(c => c.startsWith(`${csrfCookie}=`));
+  return cookie ? decodeURIComponent(cookie.substring(csrfCookie.length + 1)) : null;
+}
+
+/**
+ * Sends the user to the login page if the server rejected a request for lack of authentication.
+ * @param {Response} response The response
+ */
+function checkAuthentication(response) {
+  if (response.status === 401 && new URL(response.url, location.href).origin === location.origin) {
+    location.assign(`/login?next=${encodeURIComponent(location.pathname + location.search)}`);
+  }
+}
+
+/**
+ * @callback xmlRequestCallback
+ * @param {Document} document The document
+ */
+
+/**
+ * Loads an XML resource from the network.
+ * @param {string} url The URL of the resource to fetch
+ * @param {string} mimeType The mimetype to use to parse the document. Default is "application/xml".
+ * @param {Subscription} subscription an optional subscription used to give more context in case of a failure.
+ * @param {AbortSignal} signal An optional signal to abort the request
+ */
+async function loadDocument(url, mimeType, subscription, signal) {
+  const response = await fetch(new Request(url, { signal }));
+  if (!response.ok) {
+    checkAuthentication(response);
+    // The proxy explains its errors in JSON
+    const reason = (response.headers.get("Content-Type") || "").startsWith("application/json") ?
+      (await response.json()).error :
+      `status: ${response.status}`;
+    throw new Error(subscription ?
+      `HTTP error downloading ${subscription.title}! ${reason}` :
+      `HTTP error downloading ${url}! ${reason}`);
+  }
+  const xml = await response.text();
+  const doc = domParser.parseFromString(xml, mimeType || "application/xml");
+  return doc;
+}
+
+/**
+ * Gets the URL of an image through the image proxy of the server, so that the browser never contacts the image's host.
+ * @param {string} url The URL of the image
+ * @returns {string} The proxied URL, or the URL itself if it's local or a data: URL
+ */
+function getProxiedImageUrl(url) {
+  if (!url || !/^(https?:)?\/\//i.test(url)) return url;
+  const imageUrl = new URL(url, location.href);
+  return `img/${imageUrl.host}${imageUrl.pathname}${imageUrl.search}`;
+}
+
+/**
+ * Sends a JSON request to the server.
+ * @param {string} url The URL of the API endpoint
+ * @param {string} method The HTTP method
+ * @param {object} data The optional data to send as the body of the request
+ * @returns {object} The JSON response
+ */
+async function sendJson(url, method, data) {
+  const csrfToken = getCsrfToken();
+  const response = await fetch(new Request(url, {
+    method,
+    headers: csrfToken ?
+      { "Content-Type": "application/json", "X-CSRF-Token": csrfToken } :
+      { "Content-Type": "application/json" },
+    body: data === undefined ? undefined : JSON.stringify(data)
+  }));
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    checkAuthentication(response);
+    throw new Error(result.error || `HTTP error on ${method} ${url}! status: ${response.status}`);
+  }
+  return result;
+}
+
+// Template expressions
+
+/**
+ * An error in a template expression, with its position in the template
+ */
+class TemplateError extends Error {
+  constructor(message, source, position, location) {
+    const lines = source.substring(0, position).split("\n");
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+    super(`${location ? `${location}, ` : ""}line ${line}, column ${column}: ${message}\n${source.split("\n")[line - 1]}\n${" ".repeat(column - 1)}^`);
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * The functions that template expressions can call by name, including the handlers of data-on-<event> attributes
+ */
+const templateHelpers = {
+  getIconFromFeedPage: sub => getIconFromFeedPage(sub),
+  describeRule: rule => describeRule(rule),
+  formatDate: date => new Intl.DateTimeFormat().format(date),
+  formatDateTime: date => new Intl.DateTimeFormat(undefined, { dateStyle: "short", timeStyle: "short" }).format(date),
+  formatNumber: number => new Intl.NumberFormat(undefined, { maximumFractionDigits: 1 }).format(number),
+  getNotificationPermission: () => typeof(Notification) === "undefined" ? "unsupported" : Notification.permission,
+  getViewVelocity: posting => getViewVelocity(posting, Date.now()),
+  getViewDeltas: posting => getViewDeltas(posting),
+  getSortTitle: () => sortModes[sortMode].title,
+  getRankScore: posting => getRankScore(posting, sortMode, Date.now()),
+  getDocumentUri: () => document.documentURI,
+  proxyImage: url => getProxiedImageUrl(url),
+  // Event handlers, for data-on-<event> attributes
+  playPosting: posting => metaSubscription.play(posting),
+  closePlayer: () => metaSubscription.closePlayer(),
+  setWatched: (postings, watched) => setWatched(postings, watched),
+  unmute: posting => unmute(posting),
+  refreshSubscriptions: subs => refreshSubscriptions(subs),
+  isQueued: posting => metaSubscription.queue.includes(posting),
+  toggleQueued: posting => metaSubscription.toggleQueued(posting),
+  moveInQueue: (posting, offset) => metaSubscription.moveInQueue(posting, offset),
+  playNext: () => metaSubscription.playNext(),
+  playPrevious: () => metaSubscription.playPrevious(),
+  toggleStats: () => metaSubscription.player.element.classList.toggle("with-stats"),
+  editWeight: sub => editSubscriptionWeight(sub),
+  setNotify: (sub, notify) => setNotify(sub, notify),
+  confirmSubscription: form => confirmSubscription(form),
+  cancelRefresh: () => cancelRefresh(),
+  syncState: () => syncState()
+};
+
+/**
+ * The constants that template expressions can use
+ */
+const templateConstants = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined
+};
+
+/**
+ * Properties that template expressions can't access, because they would give access to code generation
+ */
+const forbiddenProperties = new Set(["constructor", "prototype", "__proto__", "__defineGetter__", "__defineSetter__",
+  "__lookupGetter__", "__lookupSetter__", "call", "apply", "bind"]);
+
+const punctuators = ["===", "!==", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "<", ">", "+", "-", "*", "/", "%",
+  "!", "?", ":", ".", ",", "(", ")", "[", "]", "}"];
+
+const binaryPrecedence = {
+  "??": 1, "||": 2, "&&": 3,
+  "===": 4, "!==": 4, "==": 4, "!=": 4,
+  "<": 5, ">": 5, "<=": 5, ">=": 5,
+  "+": 6, "-": 6,
+  "*": 7, "/": 7, "%": 7
+};
+
+/**
+ * Parses the subset of JavaScript that templates use: property paths, calls to helpers and methods,
+ * await, template literals, literals, and unary, binary, logical and conditional operators.
+ */
+class ExpressionParser {
+  /**
+   * @param {string} source The text to parse
+   */
+  constructor(source) {
+    this.source = source;
+    this.position = 0;
+  }
+
+  /**
+   * Throws a syntax error
+   * @param {string} message The error message
+   * @param {number} position The position of the error, defaults to the current position
+   */
+  error(message, position) {
+    throw new TemplateError(message, this.source, position === undefined ? this.position : position);
+  }
+
+  skipWhitespace() {
+    while (this.position < this.source.length && /\s/.test(this.source[this.position])) {
+      this.position++;
+    }
+  }
+
+  /**
+   * Reads the next token without consuming it
+   * @returns {{type: string, value: *, start: number, end: number}} The token
+   */
+  peek() {
+    this.skipWhitespace();
+    const start = this.position;
+    const rest = this.source.substring(start);
+    if (!rest) return { type: "end", value: null, start, end: start };
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(rest);
+    if (identifier) return { type: "identifier", value: identifier[0], start, end: start + identifier[0].length };
+    const number = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(rest);
+    if (number) return { type: "number", value: parseFloat(number[0]), start, end: start + number[0].length };
+    if (rest[0] === "'" || rest[0] === '"') return { type: "string", value: rest[0], start, end: start + 1 };
+    if (rest[0] === "`") return { type: "template", value: "`", start, end: start + 1 };
+    const punctuator = punctuators.find(p => rest.startsWith(p));
+    if (punctuator) return { type: "punctuator", value: punctuator, start, end: start + punctuator.length };
+    this.error(`Unexpected character '${rest[0]}'`, start);
+  }
+
+  /**
+   * Consumes the next token
+   * @returns {{type: string, value: *, start: number, end: number}} The token
+   */
+  next() {
+    const token = this.peek();
+    this.position = token.end;
+    return token;
+  }
+
+  /**
+   * Consumes the next token if it's the expected punctuator
+   * @param {string} value The punctuator
+   * @returns {boolean} True if the punctuator was found
+   */
+  accept(value) {
+    const token = this.peek();
+    if (token.type === "punctuator" && token.value === value) {
+      this.position = token.end;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consumes the next token, that must be the expected punctuator
+   * @param {string} value The punctuator
+   */
+  expect(value) {
+    const token = this.peek();
+    if (!this.accept(value)) {
+      this.error(token.type === "end" ? `Expected '${value}' but the expression ended` : `Expected '${value}'`, token.start);
+    }
+  }
+
+  /**
+   * Parses the body of a template literal, until its closing backtick or until the end of the source
+   * @param {boolean} nested True for a template literal inside an expression, where backslash escapes apply
+   * @returns {object} The template node
+   */
+  parseTemplateBody(nested) {
+    const start = this.position;
+    const parts = [];
+    let text = "";
+    while (true) {
+      if (this.position >= this.source.length) {
+        if (nested) this.error("Unterminated template literal", start - 1);
+        break;
+      }
+      const char = this.source[this.position];
+      if (nested && char === "`") {
+        this.position++;
+        break;
+      }
+      if (nested && char === "\\") {
+        text += this.readEscape();
+        continue;
+      }
+      if (char === "$" && this.source[this.position + 1] === "{") {
+        if (text) parts.push(text);
+        text = "";
+        this.position += 2;
+        parts.push(this.parseExpression());
+        this.expect("}");
+        continue;
+      }
+      text += char;
+      this.position++;
+    }
+    if (text) parts.push(text);
+    return { type: "template", parts, start };
+  }
+
+  /**
+   * Reads a backslash escape sequence in a string or template literal
+   * @returns {string} The escaped character
+   */
+  readEscape() {
+    const char = this.source[this.position + 1];
+    this.position += 2;
+    switch (char) {
+      case "n": return "\n";
+      case "t": return "\t";
+      case "r": return "\r";
+      case undefined: this.error("Unterminated escape sequence", this.position - 2);
+    }
+    return char;
+  }
+
+  /**
+   * Parses a quoted string literal
+   * @returns {object} The literal node
+   */
+  parseString() {
+    const start = this.position;
+    const quote = this.source[this.position++];
+    let value = "";
+    while (this.source[this.position] !== quote) {
+      if (this.position >= this.source.length) this.error("Unterminated string", start);
+      if (this.source[this.position] === "\\") {
+        value += this.readEscape();
+      }
+      else {
+        value += this.source[this.position++];
+      }
+    }
+    this.position++;
+    return { type: "literal", value, start };
+  }
+
+  parseExpression() {
+    const test = this.parseBinary(1);
+    const token = this.peek();
+    if (token.type === "punctuator" && token.value === "?") {
+      this.next();
+      const consequent = this.parseExpression();
+      this.expect(":");
+      const alternate = this.parseExpression();
+      return { type: "conditional", test, consequent, alternate, start: test.start };
+    }
+    return test;
+  }
+
+  /**
+   * Parses binary operators by precedence climbing
+   * @param {number} minPrecedence The minimum precedence of the operators to parse
+   * @returns {object} The expression node
+   */
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+    while (true) {
+      const token = this.peek();
+      const precedence = token.type === "punctuator" ? binaryPrecedence[token.value] : undefined;
+      if (!precedence || precedence < minPrecedence) return left;
+      this.next();
+      const right = this.parseBinary(precedence + 1);
+      left = { type: "binary", operator: token.value, left, right, start: left.start };
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === "punctuator" && ["!", "-", "+"].includes(token.value)) {
+      this.next();
+      return { type: "unary", operator: token.value, argument: this.parseUnary(), start: token.start };
+    }
+    if (token.type === "identifier" && token.value === "await") {
+      this.next();
+      return { type: "await", argument: this.parseUnary(), start: token.start };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+    while (true) {
+      const token = this.peek();
+      if (token.type !== "punctuator") return node;
+      if (token.value === "." || token.value === "?.") {
+        this.next();
+        const optional = token.value === "?.";
+        if (optional && this.peek().value === "(") {
+          this.next();
+          node = { type: "call", callee: node, args: this.parseArguments(), optional, start: node.start };
+          continue;
+        }
+        const property = this.next();
+        if (property.type !== "identifier") this.error("Expected a property name", property.start);
+        node = { type: "member", object: node, property: { type: "literal", value: property.value, start: property.start }, optional, start: node.start };
+      }
+      else if (token.value === "[") {
+        this.next();
+        const property = this.parseExpression();
+        this.expect("]");
+        node = { type: "member", object: node, property, optional: false, start: node.start };
+      }
+      else if (token.value === "(") {
+        this.next();
+        node = { type: "call", callee: node, args: this.parseArguments(), optional: false, start: node.start };
+      }
+      else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Parses the arguments of a call, after the opening parenthesis
+   * @returns {Array<object>} The argument nodes
+   */
+  parseArguments() {
+    const args = [];
+    if (this.accept(")")) return args;
+    do {
+      args.push(this.parseExpression());
+    } while (this.accept(","));
+    this.expect(")");
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    switch (token.type) {
+      case "number":
+        this.next();
+        return { type: "literal", value: token.value, start: token.start };
+      case "string":
+        return this.parseString();
+      case "template":
+        this.next();
+        return this.parseTemplateBody(true);
+      case "identifier":
+        this.next();
+        if (Object.prototype.hasOwnProperty.call(templateConstants, token.value)) {
+          return { type: "literal", value: templateConstants[token.value], start: token.start };
+        }
+        return { type: "identifier", name: token.value, start: token.start };
+      case "punctuator":
+        if (token.value === "(") {
+          this.next();
+          const expression = this.parseExpression();
+          this.expect(")");
+          return expression;
+        }
+        if (token.value === "[") {
+          this.next();
+          const elements = [];
+          if (!this.accept("]")) {
+            do {
+              elements.push(this.parseExpression());
+            } while (this.accept(","));
+            this.expect("]");
+          }
+          return { type: "array", elements, start: token.start };
+        }
+        break;
+      case "end":
+        this.error("Unexpected end of expression", token.start);
+    }
+    this.error(`Unexpected '${token.value}'`, token.start);
+  }
+}
+
+const expressionCache = new Map();
+
+/**
+ * Parses a template string, with ${...} expressions, or caches and returns its parsed form
+ * @param {string} format The template string
+ * @returns {object} The template node
+ */
+function compileTemplate(format) {
+  const key = `template:${format}`;
+  if (!expressionCache.has(key)) {
+    expressionCache.set(key, new ExpressionParser(format).parseTemplateBody(false));
+  }
+  return expressionCache.get(key);
+}
+
+/**
+ * Parses an expression, or caches and returns its parsed form
+ * @param {string} expression The expression
+ * @returns {object} The expression node
+ */
+function compileExpression(expression) {
+  const key = `expression:${expression}`;
+  if (!expressionCache.has(key)) {
+    const parser = new ExpressionParser(expression);
+    const node = parser.parseExpression();
+    const rest = parser.peek();
+    if (rest.type !== "end") parser.error(`Unexpected '${rest.value}'`, rest.start);
+    expressionCache.set(key, node);
+  }
+  return expressionCache.get(key);
+}
+
+/**
+ * Interprets a parsed expression
+ * @param {object} node The expression node
+ * @param {object} params The dictionary of available data
+ * @param {function(string, number): TemplateError} fail Builds an error at a position in the source
+ * @returns {*} The value of the expression
+ */
+async function interpret(node, params, fail) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "identifier":
+      if (Object.prototype.hasOwnProperty.call(params, node.name)) return params[node.name];
+      if (Object.prototype.hasOwnProperty.call(templateHelpers, node.name)) return templateHelpers[node.name];
+      throw fail(`${node.name} is not defined`, node.start);
+    case "template": {
+      let result = "";
+      for (let part of node.parts) {
+        result += typeof(part) === "string" ? part : `${await interpret(part, params, fail)}`;
+      }
+      return result;
+    }
+    case "array": {
+      const result = [];
+      for (let element of node.elements) {
+        result.push(await interpret(element, params, fail));
+      }
+      return result;
+    }
+    case "member": {
+      const object = await interpret(node.object, params, fail);
+      if (object === null || object === undefined) {
+        if (node.optional) return undefined;
+        throw fail(`Cannot read properties of ${object}`, node.property.start);
+      }
+      const property = await interpret(node.property, params, fail);
+      if (forbiddenProperties.has(String(property))) throw fail(`${property} can't be used in templates`, node.property.start);
+      return object[property];
+    }
+    case "call": {
+      let thisArg;
+      let fun;
+      if (node.callee.type === "member") {
+        thisArg = await interpret(node.callee.object, params, fail);
+        if (thisArg === null || thisArg === undefined) {
+          if (node.callee.optional) return undefined;
+          throw fail(`Cannot read properties of ${thisArg}`, node.callee.property.start);
+        }
+        const property = await interpret(node.callee.property, params, fail);
+        if (forbiddenProperties.has(String(property))) throw fail(`${property} can't be used in templates`, node.callee.property.start);
+        fun = thisArg[property];
+      }
+      else if (node.callee.type === "identifier") {
+        if (!Object.prototype.hasOwnProperty.call(templateHelpers, node.callee.name)) {
+          throw fail(`${node.callee.name} is not a template helper`, node.callee.start);
+        }
+        fun = templateHelpers[node.callee.name];
+      }
+      else {
+        fun = await interpret(node.callee, params, fail);
+      }
+      if (typeof(fun) !== "function") {
+        if (node.optional && (fun === null || fun === undefined)) return undefined;
+        throw fail("Not a function", node.callee.start);
+      }
+      const args = [];
+      for (let arg of node.args) {
+        args.push(await interpret(arg, params, fail));
+      }
+      return fun.apply(thisArg, args);
+    }
+    case "await":
+      return await interpret(node.argument, params, fail);
+    case "unary": {
+      const argument = await interpret(node.argument, params, fail);
+      switch (node.operator) {
+        case "!": return !argument;
+        case "-": return -argument;
+        case "+": return +argument;
+      }
+      break;
+    }
+    case "conditional":
+      return await interpret(node.test, params, fail) ?
+        await interpret(node.consequent, params, fail) :
+        await interpret(node.alternate, params, fail);
+    case "binary": {
+      const left = await interpret(node.left, params, fail);
+      switch (node.operator) {
+        case "&&": return left && await interpret(node.right, params, fail);
+        case "||": return left || await interpret(node.right, params, fail);
+        case "??": return left !== null && left !== undefined ? left : await interpret(node.right, params, fail);
+      }
+      const right = await interpret(node.right, params, fail);
+      switch (node.operator) {
+        case "===": return left === right;
+        case "!==": return left !== right;
+        case "==": return left == right;
+        case "!=": return left != right;
+        case "<": return left < right;
+        case ">": return left > right;
+        case "<=": return left <= right;
+        case ">=": return left >= right;
+        case "+": return left + right;
+        case "-": return left - right;
+        case "*": return left * right;
+        case "/": return left / right;
+        case "%": return left % right;
+      }
+    }
+  }
+  throw fail(`Unsupported expression`, node.start);
+}
+
+/**
+ * Runs a compilation and an interpretation, reporting errors with their location in the template
+ * @param {string} source The text of the template string or expression
+ * @param {string} location A description of where the source comes from in the template
+ * @param {function(): object} compile Compiles the source
+ * @param {object} params The dictionary of available data
+ * @returns {*} The result of the interpretation
+ */
+async function run(source, location, compile, params) {
+  let node;
+  try {
+    node = compile();
+  }
+  catch(e) {
+    if (e instanceof TemplateError) {
+      e.message = `${location ? `${location}, ` : ""}${e.message}`;
+    }
+    throw e;
+  }
+  const fail = (message, position) => new TemplateError(message, source, position, location);
+  try {
+    return await interpret(node, params, fail);
+  }
+  catch(e) {
+    if (e instanceof TemplateError) throw e;
+    const error = fail(e.message, node.start);
+    error.cause = e;
+    throw error;
+  }
+}
+
+// Template rendering
+
+/**
+ * Interpolates a template string, with ${...} expressions, using the provided data.
+ * @param {string} format The format string in the string interpolation format
+ * @param {object} params The dictionary of available data to use when interpolating
+ * @param {string} location A description of where the format string is in the template, for error messages
+ */
+async function interpolate(format, params, location) {
+  if (format.indexOf("${") === -1) return format;
+  return await run(format, location, () => compileTemplate(format), params);
+}
+
+/**
+ * Evaluates an expression
+ * @param {string} expression The expression to evaluate
+ * @param {object} params The dictionary of available data to evaluate against
+ * @param {string} location A description of where the expression is in the template, for error messages
+ * @return {*} the result of evaluating the expression
+ */
+async function evaluate(expression, params, location) {
+  return await run(expression, location, () => compileExpression(expression), params);
+}
+
+/**
+ * Describes an element of a template for error messages
+ * @param {Element} el The element
+ * @returns {string} The description
+ */
+function describeTemplateElement(el) {
+  const id = el.getAttribute("id") || el.getAttribute("data-id");
+  return `<${el.localName}${id ? ` id="${id}"` : ""}>`;
+}
+
+// Lists rendered by data-foreach, by the element of each of their items
+const listEntries = new WeakMap();
+// Listeners added by data-on-<event> attributes, by element
+const boundListeners = new WeakMap();
+// Templates that can be used by name with data-template, by name
+const namedTemplates = new Map();
+
+/**
+ * Gets a template by name, from the element whose id is the name followed by "-template"
+ * @param {string} name The name of the template
+ * @returns {Element} The template
+ */
+function getNamedTemplate(name) {
+  if (!namedTemplates.has(name)) {
+    const template = document.getElementById(`${name}-template`);
+    if (!template) {
+      throw new Error(`There's no template named ${name}.`);
+    }
+    namedTemplates.set(name, template);
+  }
+  return namedTemplates.get(name);
+}
+
+/**
+ * Expands an element that uses a named template with data-template. The children of the element fill the slots of
+ * the named template: the ones with a slot attribute go to the slot with that name, and the others to the unnamed slot.
+ * Slots that get no content keep their own. The attributes of the element override those of the named template,
+ * except for classes that are added.
+ * @param {Element} reference The element with the data-template attribute
+ * @returns {Element} The expanded template
+ */
+function expandTemplate(reference) {
+  const expanded = getNamedTemplate(reference.getAttribute("data-template")).cloneNode(true);
+  expanded.removeAttribute("id");
+  for (let slot of [...expanded.querySelectorAll("slot")]) {
+    const name = slot.getAttribute("name");
+    const assigned = [...reference.childNodes].filter(child => child.nodeType === Node.ELEMENT_NODE ?
+      child.getAttribute("slot") === name || (!name && !child.hasAttribute("slot")) :
+      !name && child.nodeType === Node.TEXT_NODE);
+    const content = assigned.some(child => child.nodeType === Node.ELEMENT_NODE || child.nodeValue.trim()) ?
+      assigned.map(child => child.cloneNode(true)) :
+      [...slot.childNodes];
+    content.filter(child => child.nodeType === Node.ELEMENT_NODE).forEach(child => child.removeAttribute("slot"));
+    slot.replaceWith(...content);
+  }
+  for (let attr of reference.attributes) {
+    if (attr.name === "data-template") continue;
+    expanded.setAttribute(attr.name, attr.name === "class" && expanded.hasAttribute("class") ?
+      `${expanded.getAttribute("class")} ${attr.nodeValue}` :
+      attr.nodeValue);
+  }
+  return expanded;
+}
+
+/**
+ * Removes the listeners that data-on-<event> attributes added to elements and their descendants
+ * @param {Node} node The element
+ */
+function unbindListeners(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) return;
+  for (let el of [node, ...node.querySelectorAll("*")]) {
+    const listeners = boundListeners.get(el);
+    if (listeners) {
+      listeners.forEach(({type, listener}) => el.removeEventListener(type, listener));
+      boundListeners.delete(el);
+    }
+  }
+}
+
+/**
+ * Removes rendered nodes from the document, and their listeners
+ * @param {Array<Node>} nodes The nodes
+ */
+function unrender(nodes) {
+  for (let node of nodes) {
+    unbindListeners(node);
+    node.remove();
+  }
+}
+
+/**
+ * Forgets the elements that were bound to data within a rendered element that was removed,
+ * so that data rendered many times doesn't keep them all
+ * @param {object} data The data
+ * @param {Element} element The removed element
+ */
+function forgetRendering(data, element) {
+  if (data.elements) {
+    data.elements = data.elements.filter(bound => !element.contains(bound.element));
+  }
+}
+
+/**
+ * @typedef {object} ListEntry
+ * @property {*} key The key of the item, from the data-key expression, or the item itself
+ * @property {*} item The item
+ * @property {Array<Element>} elements The elements rendered for the item
+ */
+
+/**
+ * @typedef {object} List
+ * @property {Element} template The data-foreach template
+ * @property {string} source The markup of the template, that identifies the list across renderings
+ * @property {Comment} anchor The node after the last item, where new items are inserted
+ * @property {Array<ListEntry>} entries The rendered items, in order
+ */
+
+/**
+ * Renders the items of a list that aren't already rendered, and removes the elements of the items that are gone
+ * @param {List} list The list
+ * @param {object} data The data the data-foreach expression is evaluated against
+ */
+async function reconcileList(list, data) {
+  const template = list.template;
+  const location = `${describeTemplateElement(template)} data-foreach`;
+  const array = await evaluate(template.getAttribute("data-foreach"), data, location);
+  if (!Array.isArray(array)) {
+    throw new Error(`Expression \`${template.getAttribute("data-foreach")}\` didn't evaluate to an array.`);
+  }
+  const previous = new Map(list.entries.map(entry => [entry.key, entry]));
+  const entries = [];
+  for await (let entry of flatMap(array, async item => {
+    const key = template.hasAttribute("data-key") ?
+      await evaluate(template.getAttribute("data-key"), typeof(item) === "object" ? item : {self: item},
+        `${describeTemplateElement(template)} data-key`) :
+      item;
+    const existing = previous.get(key);
+    previous.delete(key);
+    if (existing && existing.item === item) return existing;
+    if (existing) {
+      unrender(existing.elements);
+    }
+    const itemTemplate = template.cloneNode(true);
+    itemTemplate.removeAttribute("data-foreach");
+    itemTemplate.removeAttribute("data-key");
+    const created = { key, item, elements: await bind(itemTemplate, item) };
+    created.elements.forEach(el => listEntries.set(el, created));
+    return created;
+  })) {
+    entries.push(entry);
+  }
+  for (let removed of previous.values()) {
+    unrender(removed.elements);
+  }
+  list.entries = entries;
+  // Move the elements that aren't in place, starting from the end of the list
+  if (list.anchor.parentNode) {
+    let next = list.anchor;
+    for (let el of entries.flatMap(entry => entry.elements).reverse()) {
+      if (el.nextSibling !== next) {
+        next.parentNode.insertBefore(el, next);
+      }
+      next = el;
+    }
+  }
+}
+
+/**
+ * Binds attributes, text elements and child elements to the provided data.
+ * @param {Element} template The template to bind
+ * @param {object} data The dictionary of data available to binding expressions
+ * @param {Array<{element: Comment, list: List}>} reusing Lists from a previous rendering whose items can be reused
+ * @returns {Array<Node>} The rendered element or elements, and the anchor of lists
+ */
+async function bind(template, data, reusing) {
+  // Clone the template
+  const clonedTemplate = template.cloneNode(true);
+  // If the template is parented, un-parent it, and keep it available to data-template by name
+  if (template.parentNode) {
+    if (template.id && template.id.endsWith("-template")) {
+      namedTemplates.set(template.id.substring(0, template.id.length - 9), template);
+    }
+    template.parentNode.removeChild(template);
+  }
+  // Make "self" a property of the data object pointing to itself
+  if (typeof(data) === "object") {
+    data.self = data;
+  }
+  else {
+    data = {self: data};
+  }
+  // Check for loop
+  if (clonedTemplate.hasAttribute("data-foreach")) {
+    const source = clonedTemplate.outerHTML;
+    const previous = (reusing || []).find(bound => bound.list.source === source);
+    if (previous) {
+      reusing.splice(reusing.indexOf(previous), 1);
+    }
+    const list = {
+      template: clonedTemplate,
+      source,
+      anchor: document.createComment(` ${clonedTemplate.getAttribute("data-foreach")} `),
+      entries: previous ? previous.list.entries : []
+    };
+    await reconcileList(list, data);
+    (data.elements || (data.elements = [])).push({element: list.anchor, template: clonedTemplate, list});
+    return [...list.entries.flatMap(entry => entry.elements), list.anchor];
+  }
+  // Check for conditional rendering
+  if (clonedTemplate.hasAttribute("data-if")) {
+    if (!await evaluate(clonedTemplate.getAttribute("data-if"), data, `${describeTemplateElement(clonedTemplate)} data-if`)) {
+      return [];
+    }
+  }
+  // Clone the template again for rendering, or the named template it uses
+  const el = clonedTemplate.hasAttribute("data-template") ? expandTemplate(clonedTemplate) : clonedTemplate.cloneNode(true);
+  el.removeAttribute("data-if");
+  // Remove id from the cloned element
+  if (el.hasAttribute("id")) {
+    el.removeAttribute("id");
+  }
+  // Bind all attributes and rename them if they're data attributes
+  await forEach([...el.attributes], async attr => {
+    // Event attributes add listeners that evaluate their expression, with the event available as "event".
+    // Expressions run asynchronously, so the .stop and .prevent modifiers of the attribute name stop the propagation
+    // and prevent the default action of the event while it's dispatched.
+    if (attr.name.substring(0, 8) === "data-on-") {
+      const [type, ...modifiers] = attr.name.substring(8).split(".");
+      const location = `${describeTemplateElement(clonedTemplate)} ${attr.name}`;
+      const listener = async event => {
+        if (modifiers.includes("stop")) event.stopPropagation();
+        if (modifiers.includes("prevent")) event.preventDefault();
+        try {
+          await evaluate(attr.nodeValue, Object.assign({}, data, {event}), location);
+        }
+        catch(e) {
+          console.error(e);
+        }
+      };
+      el.addEventListener(type, listener);
+      (boundListeners.get(el) || boundListeners.set(el, []).get(el)).push({type, listener});
+      el.removeAttribute(attr.name);
+      return;
+    }
+    const isDataAttribute = attr.name.substring(0, 5) === "data-";
+    const attrName = isDataAttribute ? attr.name.substring(5) : attr.name;
+    el.setAttribute(attrName, await interpolate(attr.nodeValue, data, `${describeTemplateElement(clonedTemplate)} ${attr.name}`));
+    if (isDataAttribute) {
+      el.removeAttribute(attr.name);
+    }
+  });
+  // Bind child elements and text nodes, in place
+  await forEach([...el.childNodes], async child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      child.nodeValue = await interpolate(child.nodeValue, data, `${describeTemplateElement(clonedTemplate)} text`);
+    }
+    else if (child.nodeType === Node.ELEMENT_NODE) {
+      const placeholder = document.createTextNode("");
+      child.replaceWith(placeholder);
+      placeholder.replaceWith(...(await bind(child, data, reusing)));
+    }
+  });
+  // Remember that this element was bound to that piece of data, for future updates
+  (data.elements || (data.elements = [])).push({element: el, template: clonedTemplate});
+  return [el];
+}
+
+/**
+ * Renders data using a template.
+ * @param {object} data The data to render
+ * @param {{ usingTemplate: Element, atEndOf: Element, atStartOf: Element, replacing: Element, after: Element, before: Element, reusing: Array<{element: Comment, list: List}> }} options The template to use and where to render it
+ * @returns {Array<Node>} The rendered element or elements
+ */
+async function render(data, options) {
+  const elements = await bind(options.usingTemplate, data, options.reusing);
+  if (elements) {
+    if (options.atEndOf) {
+      const container = options.atEndOf;
+      container.append(...elements);
+    }
+    if (options.atStartOf) {
+      const container = options.atStartOf;
+      container.prepend(...elements);
+    }
+    if (options.replacing) {
+      if (elements.length !== 1) {
+        console.warn("Template failed to render as a single element for use with 'replacing'.");
+        return;
+      }
+      const container = options.replacing.parentNode;
+      container.replaceChild(elements[0], options.replacing);
+      unbindListeners(options.replacing);
+      // Keep the list that the replaced element is an item of pointing to the rendered element
+      const entry = listEntries.get(options.replacing);
+      if (entry) {
+        entry.elements[entry.elements.indexOf(options.replacing)] = elements[0];
+        listEntries.set(elements[0], entry);
+      }
+    }
+    if (options.after) {
+      options.after.after(...elements);
+    }
+    if (options.before) {
+      options.before.before(...elements);
+    }
+  }
+  return elements;
+}
+
+/**
+ * Updates the rendered elements for this data.
+ * Only the outermost bound elements are re-rendered, as they re-create the nested ones, and the bindings of elements
+ * that were removed from the document are forgotten instead of being rendered again.
+ * @param {object} data The data to re-render
+ */
+async function updateRendering(data) {
+  if (data.elements) {
+    const bound = data.elements.filter(el => el.element.parentNode);
+    data.elements = [];
+    await forEach(
+      bound.filter(el => !bound.some(other => other !== el && other.element.contains(el.element))),
+      async el => {
+        if (el.list) {
+          // Lists only render their new items, and move or remove the others
+          await reconcileList(el.list, data);
+          data.elements.push(el);
+        }
+        else {
+          await render(data, {
+            usingTemplate: el.template,
+            replacing: el.element,
+            reusing: bound.filter(other => other.list && el.element.contains(other.element))
+          });
+        }
+      });
+  }
+}
+
+// OPML
+
+/**
+ * Gets the name of an outline, from its title or its text
+ * @param {Element} outline The outline element
+ * @returns {string} The name of the outline
+ */
+function getOutlineName(outline) {
+  return outline.getAttribute("title") || outline.getAttribute("text") || "";
+}
+
+/**
+ * Parses the subscriptions from an OPML document, keeping track of the folders they're in.
+ * Outlines that aren't feeds or folders are ignored, and malformed ones are reported as errors.
+ * @param {Document} doc The OPML document
+ * @returns {{subscriptions: Array<Subscription>, errors: Array<string>}} The subscriptions and the errors found while parsing
+ */
+function parseOpml(doc) {
+  const parserError = doc.querySelector("parsererror");
+  if (parserError) {
+    throw new Error(`The subscriptions file isn't valid XML: ${parserError.textContent}`);
+  }
+  const body = doc.documentElement && doc.documentElement.nodeName === "opml" ?
+    [...doc.documentElement.children].find(el => el.nodeName === "body") : null;
+  if (!body) {
+    throw new Error("The subscriptions file isn't an OPML document.");
+  }
+  const result = { subscriptions: [], errors: [] };
+  const urls = new Set();
+  const parseOutlines = (parent, folder) => {
+    for (let outline of parent.children) {
+      if (outline.nodeName !== "outline") continue;
+      const xmlUrl = outline.getAttribute("xmlUrl");
+      const name = getOutlineName(outline);
+      if (xmlUrl === null) {
+        // Outlines without a feed are folders, and are ignored if they're empty
+        parseOutlines(outline, [...folder, name]);
+        continue;
+      }
+      const path = [...folder, name].join(" / ");
+      let url;
+      try {
+        url = new URL(xmlUrl);
+      }
+      catch(e) {
+        result.errors.push(`${path}: "${xmlUrl}" isn't a valid feed URL.`);
+        continue;
+      }
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        result.errors.push(`${path}: "${xmlUrl}" isn't an http or https URL.`);
+        continue;
+      }
+      if (urls.has(url.href)) {
+        result.errors.push(`${path}: "${xmlUrl}" is a duplicate.`);
+        continue;
+      }
+      if (outline.children.length > 0) {
+        result.errors.push(`${path}: feeds can't contain other outlines, which were ignored.`);
+      }
+      urls.add(url.href);
+      result.subscriptions.push(new Subscription({
+        title: name || url.href,
+        url: xmlUrl,
+        folder
+      }));
+    }
+  };
+  parseOutlines(body, []);
+  return result;
+}
+
+/**
+ * Exports subscriptions as an OPML 2.0 document, with outlines nested according to their folders
+ * @param {Array<Subscription>} subs The subscriptions to export
+ * @param {string} title The title of the document
+ * @returns {string} The text of the OPML document
+ */
+function exportOpml(subs, title) {
+  const doc = document.implementation.createDocument(null, "opml", null);
+  const opml = doc.documentElement;
+  opml.setAttribute("version", "2.0");
+  const head = doc.createElement("head");
+  const titleElement = doc.createElement("title");
+  titleElement.textContent = title;
+  const dateCreated = doc.createElement("dateCreated");
+  dateCreated.textContent = new Date().toUTCString();
+  head.append(titleElement, dateCreated);
+  const body = doc.createElement("body");
+  opml.append(head, body);
+  const folders = new Map();
+  const getFolderElement = folder => {
+    if (folder.length === 0) return body;
+    const key = folder.join("\n");
+    if (!folders.has(key)) {
+      const folderElement = doc.createElement("outline");
+      folderElement.setAttribute("text", folder[folder.length - 1]);
+      folderElement.setAttribute("title", folder[folder.length - 1]);
+      getFolderElement(folder.slice(0, -1)).append(folderElement);
+      folders.set(key, folderElement);
+    }
+    return folders.get(key);
+  };
+  for (let sub of subs) {
+    const outline = doc.createElement("outline");
+    outline.setAttribute("text", sub.title);
+    outline.setAttribute("title", sub.title);
+    outline.setAttribute("type", "rss");
+    outline.setAttribute("xmlUrl", sub.url);
+    if (sub.pageUrl) {
+      outline.setAttribute("htmlUrl", sub.pageUrl);
+    }
+    getFolderElement(sub.folder).append(outline);
+  }
+  indentXml(opml, 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(doc)}\n`;
+}
+
+/**
+ * Indents the child elements of an XML element with whitespace text nodes
+ * @param {Element} element The element whose children to indent
+ * @param {number} depth The depth of the element in the document
+ */
+function indentXml(element, depth) {
+  const children = [...element.children];
+  if (children.length === 0) return;
+  for (let child of children) {
+    element.insertBefore(element.ownerDocument.createTextNode(`\n${"  ".repeat(depth + 1)}`), child);
+    indentXml(child, depth + 1);
+  }
+  element.append(element.ownerDocument.createTextNode(`\n${"  ".repeat(depth)}`));
+}
+
+/**
+ * Prompts the browser to download a file
+ * @param {string} content The content of the file
+ * @param {string} fileName The suggested name of the file
+ * @param {string} mimeType The MIME type of the file
+ */
+function download(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Local storage
+
+/**
+ * Clears local storage, mostly during development
+ */
+function clearLocalStore() {
+  localStorage.clear();
+}
+
+/**
+ * Gets the local storage key of a value, that's specific to the profile
+ * @param {string} name the name of the value
+ * @returns {string} the key
+ */
+function getLocalKey(name) {
+  return profile ? `${profile}:${name}` : name;
+}
+
+/**
+ * Stores a value, and syncs it with the server if it changed
+ * @param {string} name the name of the value to store
+ * @param {*} value the value to store
+ */
+function localStore(name, value) {
+  const key = getLocalKey(name);
+  if (localStorage.getItem(key) === String(value)) {
+    // Values stored before they were synced are older than any synced change
+    if (!hasOwn(getValueTimes(), name)) setValueTimes({ [name]: 0 });
+    return;
+  }
+  localStorage.setItem(key, value);
+  setValueTimes({ [name]: Date.now() });
+  scheduleSync();
+}
+
+/**
+ * Finds if an object has a property of its own, and not from its prototype
+ * @param {object} object the object
+ * @param {string} name the name of the property
+ * @returns {boolean} true if the object has the property
+ */
+function hasOwn(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+// The name of the times when the other values last changed, that's the only value that's not synced
+const valueTimesName = "valueTimes";
+
+/**
+ * Gets the times when the stored values last changed
+ * @returns {Object<string, number>} the times, by value name
+ */
+function getValueTimes() {
+  try {
+    return JSON.parse(localStorage.getItem(getLocalKey(valueTimesName))) || {};
+  }
+  catch(e) {
+    return {};
+  }
+}
+
+/**
+ * Records the times when stored values changed
+ * @param {Object<string, number>} times the times, by value name
+ */
+function setValueTimes(times) {
+  localStorage.setItem(getLocalKey(valueTimesName), JSON.stringify(Object.assign(getValueTimes(), times)));
+}
+
+/**
+ * @callback getValueCallback
+ * @returns {*} the value
+ */
+
+/**
+ * Fetches a value from local storage, or restores it using the provided callback
+ * @param {string} name the name of the value to fetch
+ * @param {getValueCallback} fallback an async function that can generate the value if the cache lookup misses
+ */
+async function localFetch(name, fallback) {
+  const result = localStorage.getItem(getLocalKey(name)) || await fallback();
+  if (result !== undefined && result !== null) {
+    localStore(name, result);
+  }
+  return result;
+}
+
+// Persistent storage
+
+const database = openDatabase();
+
+/**
+ * Wraps an IndexedDB request into a promise
+ * @param {IDBRequest} request The request
+ * @returns {Promise<*>} The result of the request
+ */
+function whenDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wraps an IndexedDB transaction into a promise
+ * @param {IDBTransaction} transaction The transaction
+ * @returns {Promise} A promise that resolves when the transaction is complete
+ */
+function whenComplete(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Opens the database, creating or upgrading its object stores as needed
+ * @returns {Promise<IDBDatabase>} The database, or null if IndexedDB isn't available
+ */
+async function openDatabase() {
+  try {
+    const request = indexedDB.open(profile ? `${settings.database}-${profile}` : settings.database, 1);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("subscriptions", { keyPath: "url" });
+      const postings = db.createObjectStore("postings", { keyPath: ["subscription", "id"] });
+      postings.createIndex("subscription", "subscription");
+    };
+    return await whenDone(request);
+  }
+  catch(e) {
+    console.warn(`Postings won't be persisted, IndexedDB isn't available: ${e}`);
+    return null;
+  }
+}
+
+/**
+ * Maps a subscription to the object that gets persisted
+ * @param {Subscription} sub The subscription
+ * @returns {object} The persisted object
+ */
+function toStoredSubscription(sub) {
+  return {
+    title: sub.title,
+    url: sub.url,
+    pageUrl: sub.pageUrl,
+    icon: sub.icon,
+    feedIcon: sub.feedIcon,
+    folder: sub.folder,
+    hwm: sub.hwm,
+    playbackRate: sub.playbackRate,
+    weight: sub.weight,
+    notify: sub.notify
+  };
+}
+
+/**
+ * Maps a posting to the object that gets persisted, where the subscription is referenced by its URL
+ * @param {Posting} posting The posting
+ * @returns {object} The persisted object
+ */
+function toStoredPosting(posting) {
+  const stored = {};
+  for (let key of Object.keys(posting)) {
+    if (key !== "self" && key !== "elements" && key !== "mutedBy") {
+      stored[key] = posting[key];
+    }
+  }
+  stored.subscription = posting.subscription.url;
+  return stored;
+}
+
+/**
+ * Loads the persisted subscriptions
+ * @returns {Promise<Array<Subscription>>} The subscriptions
+ */
+async function loadStoredSubscriptions() {
+  const db = await database;
+  if (!db) return [];
+  const stored = await whenDone(db.transaction("subscriptions").objectStore("subscriptions").getAll());
+  return stored.map(options => new Subscription(options));
+}
+
+/**
+ * Persists subscriptions, and forgets the ones that aren't in the list any more along with their postings
+ * @param {Array<Subscription>} subs The complete list of subscriptions
+ */
+async function storeSubscriptions(subs) {
+  const db = await database;
+  if (!db) return;
+  const transaction = db.transaction(["subscriptions", "postings"], "readwrite");
+  const subscriptionStore = transaction.objectStore("subscriptions");
+  const postingStore = transaction.objectStore("postings");
+  const urls = new Set(subs.map(sub => sub.url));
+  for (let url of await whenDone(subscriptionStore.getAllKeys())) {
+    if (!urls.has(url)) {
+      subscriptionStore.delete(url);
+      postingStore.delete(IDBKeyRange.bound([url], [url, []]));
+    }
+  }
+  for (let sub of subs) {
+    subscriptionStore.put(toStoredSubscription(sub));
+  }
+  await whenComplete(transaction);
+}
+
+/**
+ * Persists a subscription and its most recent postings, and forgets its older postings
+ * @param {Subscription} sub The subscription
+ */
+async function storeSubscription(sub) {
+  const db = await database;
+  if (!db) return;
+  const transaction = db.transaction(["subscriptions", "postings"], "readwrite");
+  const postingStore = transaction.objectStore("postings");
+  transaction.objectStore("subscriptions").put(toStoredSubscription(sub));
+  const kept = sub.postings.slice(0, settings.maxStoredPostings);
+  const keptIds = new Set(kept.map(posting => posting.id));
+  for (let key of await whenDone(postingStore.index("subscription").getAllKeys(sub.url))) {
+    if (!keptIds.has(key[1])) {
+      postingStore.delete(key);
+    }
+  }
+  for (let posting of kept) {
+    postingStore.put(toStoredPosting(posting));
+  }
+  await whenComplete(transaction);
+}
+
+/**
+ * Persists postings
+ * @param {Array<Posting>} postings The postings
+ */
+async function storePostings(postings) {
+  const db = await database;
+  if (!db) return;
+  const transaction = db.transaction("postings", "readwrite");
+  const postingStore = transaction.objectStore("postings");
+  for (let posting of postings) {
+    postingStore.put(toStoredPosting(posting));
+  }
+  await whenComplete(transaction);
+}
+
+/**
+ * Forgets a subscription and its postings
+ * @param {Subscription} sub The subscription
+ */
+async function deleteStoredSubscription(sub) {
+  const db = await database;
+  if (!db) return;
+  const transaction = db.transaction(["subscriptions", "postings"], "readwrite");
+  transaction.objectStore("subscriptions").delete(sub.url);
+  transaction.objectStore("postings").delete(IDBKeyRange.bound([sub.url], [sub.url, []]));
+  await whenComplete(transaction);
+}
+
+/**
+ * Loads the persisted postings of a subscription
+ * @param {Subscription} sub The subscription
+ * @returns {Promise<Array<Posting>>} The postings
+ */
+async function loadStoredPostings(sub) {
+  const db = await database;
+  if (!db) return [];
+  const stored = await whenDone(db.transaction("postings").objectStore("postings").index("subscription").getAll(sub.url));
+  return stored.map(options => new Posting(Object.assign(options, { subscription: sub })));
+}
+
+// State sync
+
+/**
+ * The personal state that's synced with the server, so that browsers and devices know what the others did:
+ * the values of local storage, and what the user did with postings. Each entry has the time it last changed,
+ * and the most recent change of each entry wins.
+ * @typedef {object} SyncedState
+ * @property {Object<string, {value: string, updated: number}>} values The values of local storage, by name
+ * @property {Object<string, {watched: boolean, unmuted: boolean, position: number, updated: number}>} postings
+ * The state of postings, by subscription URL and posting id separated by a space
+ */
+
+/**
+ * Gets the key of a posting in the synced state
+ * @param {Posting} posting The posting
+ * @returns {string} The key
+ */
+function getSyncedPostingKey(posting) {
+  return `${posting.subscription.url} ${posting.id}`;
+}
+
+/**
+ * Gets the state of this browser
+ * @returns {SyncedState} The values of local storage and the state of the loaded postings
+ */
+function getLocalState() {
+  const state = { values: {}, postings: {} };
+  for (let [name, updated] of Object.entries(getValueTimes())) {
+    const value = localStorage.getItem(getLocalKey(name));
+    if (value !== null && name !== valueTimesName) {
+      state.values[name] = { value, updated };
+    }
+  }
+  for (let sub of subscriptions) {
+    for (let posting of sub.postings.filter(p => p.stateUpdated)) {
+      state.postings[getSyncedPostingKey(posting)] = {
+        watched: posting.watched,
+        unmuted: posting.unmuted,
+        position: posting.position,
+        updated: posting.stateUpdated
+      };
+    }
+  }
+  return state;
+}
+
+/**
+ * Merges states, keeping the most recent change of each entry
+ * @param {...SyncedState} states The states, that can be incomplete or malformed if they come from elsewhere
+ * @returns {SyncedState} The merged state
+ */
+function mergeStates(...states) {
+  const merged = { values: Object.create(null), postings: Object.create(null) };
+  for (let state of states.filter(state => state && typeof(state) === "object")) {
+    for (let part of ["values", "postings"]) {
+      if (!state[part] || typeof(state[part]) !== "object") continue;
+      for (let [key, entry] of Object.entries(state[part])) {
+        if (!entry || typeof(entry) !== "object" || typeof(entry.updated) !== "number") continue;
+        if (part === "values" && (typeof(entry.value) !== "string" || key === valueTimesName)) continue;
+        if (!merged[part][key] || entry.updated > merged[part][key].updated) {
+          merged[part][key] = entry;
+        }
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Forgets the postings of a state that don't need to be synced anymore, so that it stays small: the ones that changed
+ * before the time set when the state last outgrew the server, and the ones that didn't change in a while and that are
+ * back to their default state, gone from the feed of their subscription, or from a subscription that was removed
+ * @param {SyncedState} state The merged state, that gets modified
+ * @returns {SyncedState} The state
+ */
+function compactState(state) {
+  const since = state.values.syncedPostingsSince ? Number(state.values.syncedPostingsSince.value) || 0 : 0;
+  const cutoff = Date.now() - settings.syncedPostingDays * 24 * 60 * 60 * 1000;
+  const loaded = new Map(subscriptions.map(sub => [sub.url, new Set(sub.postings.map(posting => posting.id))]));
+  for (let [key, entry] of Object.entries(state.postings)) {
+    const separator = key.indexOf(" ");
+    const ids = loaded.get(key.substring(0, separator));
+    // Subscriptions and postings that aren't loaded yet aren't gone
+    const gone = subscriptions.length > 0 && (!ids || (ids.size > 0 && !ids.has(key.substring(separator + 1))));
+    if (entry.updated < since ||
+      (entry.updated < cutoff && (gone || (!entry.watched && !entry.unmuted && !entry.position)))) {
+      delete state.postings[key];
+    }
+  }
+  return state;
+}
+
+/**
+ * Applies the entries of a state that are more recent than the ones of this browser. Values are read when the
+ * application starts, before the first sync, so that's when the ones changed elsewhere take effect.
+ * @param {SyncedState} state The merged state
+ */
+async function applyState(state) {
+  const times = getValueTimes();
+  const changedTimes = {};
+  for (let [name, entry] of Object.entries(state.values)) {
+    if (!hasOwn(times, name) || entry.updated > times[name]) {
+      localStorage.setItem(getLocalKey(name), entry.value);
+      changedTimes[name] = entry.updated;
+    }
+  }
+  setValueTimes(changedTimes);
+  const changed = [];
+  for (let sub of subscriptions) {
+    for (let posting of sub.postings) {
+      const entry = state.postings[getSyncedPostingKey(posting)];
+      if (entry && entry.updated > posting.stateUpdated) {
+        posting.watched = !!entry.watched;
+        posting.unmuted = !!entry.unmuted;
+        posting.position = typeof(entry.position) === "number" ? entry.position : 0;
+        posting.stateUpdated = entry.updated;
+        changed.push(posting);
+      }
+    }
+  }
+  if (changed.length === 0) return;
+  await forEach(changed, async posting => await metaSubscription.addPosting(posting));
+  await forEach([...new Set(changed.map(posting => posting.subscription))], async sub => await updateRendering(sub));
+  await storePostings(changed);
+}
+
+/**
+ * Reads or replaces the state on the server
+ * @param {string} method "GET" to read the state, or "PUT" to replace it
+ * @param {SyncedState} state The state that replaces the one on the server
+ * @param {string} etag The ETag of the version of the state that gets replaced
+ * @returns {Promise<{state: SyncedState, etag: string}>} The state on the server, and the ETag of its version
+ */
+async function requestState(method, state, etag) {
+  const csrfToken = getCsrfToken();
+  const headers = {};
+  if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  if (etag) headers["If-Match"] = etag;
+  if (state) headers["Content-Type"] = "application/json";
+  const response = await fetch(new Request(settings.state, {
+    method,
+    headers,
+    cache: "no-store",
+    body: state ? JSON.stringify(state) : undefined
+  }));
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    checkAuthentication(response);
+    const error = new Error(result.error || `HTTP error on ${method} ${settings.state}! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return { state: result, etag: response.headers.get("ETag") };
+}
+
+/**
+ * Syncs the state of this browser with the server: changes made elsewhere are applied here, and changes made here
+ * are sent to the server if it doesn't have them. If another device changed the state on the server in the
+ * meantime, the sync starts over with its changes. If the state is too large for the server, the oldest half
+ * of the postings is forgotten, on all devices, and the sync starts over too.
+ * @param {SyncedState} imported A state to merge with the others, such as one imported from a backup
+ */
+async function syncState(imported) {
+  clearTimeout(syncTimer);
+  syncTimer = null;
+  // Changes made during a sync are sent by the next one
+  while (runningSync) {
+    await runningSync.catch(() => {});
+  }
+  runningSync = (async () => {
+    for (let attempt = 1; ; attempt++) {
+      const remote = await requestState("GET");
+      const merged = compactState(mergeStates(remote.state, getLocalState(), imported));
+      await applyState(merged);
+      if (JSON.stringify(merged) === JSON.stringify(mergeStates(remote.state))) return;
+      try {
+        await requestState("PUT", merged, remote.etag);
+        return;
+      }
+      catch(e) {
+        const times = Object.values(merged.postings).map(entry => entry.updated).sort((time1, time2) => time1 - time2);
+        if (e.status === 413 && times.length > 0) {
+          console.warn(`The state is too large for the server, forgetting the oldest of its ${times.length} postings.`);
+          localStore("syncedPostingsSince", String(Math.max(times[Math.floor(times.length / 2)], times[0] + 1)));
+          // Compacting the state isn't one of the attempts
+          attempt--;
+          continue;
+        }
+        if (e.status !== 412 || attempt >= settings.syncAttempts) throw e;
+      }
+    }
+  })();
+  try {
+    await runningSync;
+    syncStatus.error = null;
+  }
+  catch(e) {
+    console.warn(`The state couldn't be synced with the server: ${e.message}`);
+    syncStatus.error = e.message;
+  }
+  finally {
+    runningSync = null;
+  }
+  await updateRendering(syncStatus);
+}
+
+/**
+ * Syncs the state a little after a change, unless a sync is already planned
+ */
+function scheduleSync() {
+  if (syncTimer) return;
+  syncTimer = setTimeout(syncState, settings.syncDelay * 1000);
+}
+
+/**
+ * Exports the state of this browser, along with the one on the server if it can be reached
+ * @returns {Promise<string>} The JSON text of the state
+ */
+async function exportState() {
+  let remote = null;
+  try {
+    remote = (await requestState("GET")).state;
+  }
+  catch(e) {
+    console.warn(`The state on the server couldn't be read, only exporting the local state: ${e.message}`);
+  }
+  return JSON.stringify(mergeStates(remote, getLocalState()), null, 2);
+}
+
+/**
+ * Imports a state exported from a backup. Its entries win over the current ones, as if they just changed.
+ * @param {string} json The JSON text of the state
+ */
+async function importState(json) {
+  let imported;
+  try {
+    imported = JSON.parse(json);
+  }
+  catch(e) {
+    throw new Error(`The state isn't valid JSON: ${e.message}`);
+  }
+  if (!imported || typeof(imported) !== "object" || typeof(imported.values) !== "object" ||
+    typeof(imported.postings) !== "object") {
+    throw new Error("The state must be an object with values and postings.");
+  }
+  const now = Date.now();
+  for (let part of ["values", "postings"]) {
+    for (let entry of Object.values(imported[part] || {})) {
+      if (entry && typeof(entry) === "object") entry.updated = now;
+    }
+  }
+  await applyState(mergeStates(imported));
+  await syncState(imported);
+}
+
+// Application features
+
+/** Refreshes the data about a subscription
+ * @param {Subscription} sub The subscription structure
+ * @param {AbortSignal} signal An optional signal to abort the refresh
+ */
+async function refreshSubscription(sub, signal) {
+  if (sub.url.substring(0, 8) === "https://") {
+    //console.log(`Fetching ${sub.title} from ${sub.url}...`);
+    const subDoc = await loadDocument(`feed/${sub.url.substring(8)}`, null, sub, signal);
+    const feed = parseFeed(subDoc, sub, options => new Posting(options));
+    sub.pageUrl = feed.pageUrl || sub.pageUrl;
+    sub.feedIcon = feed.icon;
+    const fresh = feed.postings.filter(posting => posting.published > sub.hwm);
+    await forEach(feed.postings, async posting => {
+      const previous = sub.postings.find(p => p.id === posting.id);
+      posting.recordViews(previous ? previous.viewHistory : []);
+      await sub.addPosting(posting);
+      await metaSubscription.addPosting(posting);
+    });
+    // The postings of the first refresh of a subscription aren't news
+    if (sub.notify && sub.hwm.getTime() > 0) {
+      pendingNotifications.push(...fresh.filter(posting => !posting.watched && !posting.mutedBy));
+    }
+    sub.updateHwm(true);
+    const iconUrl = await getIconFromFeedPage(sub);
+    if (iconUrl) {
+      sub.icon = iconUrl;
+    }
+    await updateRendering(sub);
+    await storeSubscription(sub);
+  }
+  else {
+    throw new Error(`${sub.title} can't be read, as its feed doesn't use https.`);
+  }
+}
+
+/**
+ * Refreshes subscriptions a few at a time, showing the progress, and the errors on the subscriptions that failed.
+ * Subscriptions requested while a refresh is running are added to it.
+ * @param {Array<Subscription>} subs The subscriptions to refresh
+ */
+async function refreshSubscriptions(subs) {
+  const progress = refreshProgress;
+  // The subscriptions of a cancelled refresh are being aborted, so they're refreshed again
+  const cancelled = !!progress.controller && progress.controller.signal.aborted;
+  const added = subs.filter(sub => !progress.queue.includes(sub) && (cancelled || !progress.active.includes(sub)));
+  progress.queue.push(...added);
+  progress.total += added.length;
+  if (progress.running) {
+    await updateRendering(progress);
+    return;
+  }
+  progress.running = true;
+  await updateRendering(progress);
+  let signal = null;
+  const refreshNext = async () => {
+    // Once cancelled, the subscriptions requested since then are left for the next round, with its own controller
+    while (progress.queue.length > 0 && !signal.aborted) {
+      const sub = progress.queue.shift();
+      progress.active.push(sub);
+      try {
+        await refreshSubscription(sub, signal);
+        sub.error = null;
+      }
+      catch(e) {
+        if (!signal.aborted) {
+          console.error(`Failed to refresh ${sub.title}: ${e.message}`);
+          sub.error = e.message;
+          progress.failed++;
+        }
+      }
+      progress.active.splice(progress.active.indexOf(sub), 1);
+      progress.done++;
+      await updateRendering(sub);
+      await updateRendering(progress);
+    }
+  };
+  while (progress.queue.length > 0) {
+    progress.controller = new AbortController();
+    signal = progress.controller.signal;
+    await Promise.all(Array.from({ length: settings.refreshConcurrency }, refreshNext));
+  }
+  Object.assign(progress, { running: false, total: 0, done: 0, failed: 0, controller: null });
+  await updateRendering(progress);
+  notifyNewPostings();
+  // Postings that are new here may have been watched elsewhere
+  await syncState();
+}
+
+/**
+ * Cancels the running refresh: the subscriptions that are being refreshed are aborted, and the others are skipped
+ */
+async function cancelRefresh() {
+  refreshProgress.total -= refreshProgress.queue.length;
+  refreshProgress.queue.length = 0;
+  if (refreshProgress.controller) {
+    refreshProgress.controller.abort();
+  }
+  await updateRendering(refreshProgress);
+}
+
+/**
+ * Marks postings as watched or unwatched, and updates their rendering and the unseen counts
+ * @param {Array<Posting>} postings The postings to mark
+ * @param {boolean} watched True to mark the postings as watched, false to mark them as unwatched
+ */
+async function setWatched(postings, watched) {
+  const changed = postings.filter(posting => posting.watched !== watched);
+  if (changed.length === 0) return;
+  await forEach(changed, async posting => {
+    posting.watched = watched;
+    posting.stateUpdated = Date.now();
+    await metaSubscription.addPosting(posting);
+  });
+  await forEach([...new Set(changed.map(posting => posting.subscription))], async sub => await updateRendering(sub));
+  await storePostings(changed);
+  scheduleSync();
+}
+
+/**
+ * Marks all the postings of subscriptions as watched, and moves their high-water marks to their most recent posting
+ * @param {Array<Subscription>} subs The subscriptions
+ */
+async function markAllWatched(subs) {
+  subs.forEach(sub => sub.updateHwm());
+  await setWatched(subs.flatMap(sub => sub.postings), true);
+  await forEach(subs, async sub => await updateRendering(sub));
+  await forEach(subs, async sub => await storeSubscription(sub));
+}
+
+/**
+ * Moves the high-water marks to the most recent postings, so they won't be new on the next visit
+ */
+function endVisit() {
+  subscriptions.forEach(sub => sub.updateHwm());
+  metaSubscription.hwm = subscriptions.reduce((hwm, sub) => sub.hwm > hwm ? sub.hwm : hwm, metaSubscription.hwm);
+  localStore("lastVisit", metaSubscription.hwm.toISOString());
+  storeSubscriptions(subscriptions);
+}
+
+/**
+ * Scrapes the subscription's icon URL from its page
+ * @param {Subscription} sub The subscription for which to scrape the icon URL
+ */
+async function getIconFromFeedPage(sub) {
+  return await localFetch(
+    `subscription:icon:${sub.title}`,
+    async () => {
+      if (sub.feedIcon) {
+        return sub.feedIcon;
+      }
+      if (sub.icon !== settings.defaultIcon) {
+        return sub.icon;
+      }
+      if (sub.pageUrl && sub.pageUrl.substring(0, 8) === "https://") {
+        // console.log(`Fetching ${sub.pageUrl}...`);
+        try {
+          const subDoc = await loadDocument(`feed/${sub.pageUrl.substring(8)}`, "text/html");
+          const iconLink = subDoc.querySelector('link[rel="image_src"]');
+          // console.log(`Found icon URL ${iconUrl}`);
+          return iconLink ? iconLink.getAttribute("href") : undefined;
+        }
+        catch(e) {
+          console.warn(`Couldn't fetch the icon of ${sub.title}: ${e.message}`);
+        }
+      }
+      else {
+        console.warn(`${sub.title} page isn't known or isn't using https. Skipping.`);
+      }
+    }
+  ) || sub.icon;
+}
+
+/**
+ * Subscribes to a feed, and renders it
+ * @param {string} url The URL of the feed
+ * @param {string} title The title of the subscription
+ * @param {Array<string>} folder The optional folder path of the subscription
+ * @param {string} icon The optional icon of the subscription, kept with the other icons as the OPML file has none
+ */
+async function addSubscription(url, title, folder, icon) {
+  const added = await sendJson(settings.subscriptions, "POST", { url, title, folder });
+  const sub = new Subscription({
+    title: added.title,
+    url: added.url,
+    folder: added.folder,
+    icon
+  });
+  if (icon && icon !== settings.defaultIcon) {
+    localStore(`subscription:icon:${sub.title}`, icon);
+  }
+  subscriptions.push(sub);
+  subscriptions.sort((sub1, sub2) => sub1.title > sub2.title ? 1 : sub1.title < sub2.title ? -1 : 0);
+  await storeSubscription(sub);
+  await updateRendering(subscriptionsBar);
+  await renderFolders();
+  await refreshSubscription(sub);
+}
+
+/**
+ * Unsubscribes from a feed, and removes its rendered elements and postings
+ * @param {Subscription} sub The subscription to remove
+ */
+async function removeSubscription(sub) {
+  await sendJson(`${settings.subscriptions}/${sub.id}`, "DELETE");
+  await deleteStoredSubscription(sub);
+  subscriptions.splice(subscriptions.indexOf(sub), 1);
+  await updateRendering(subscriptionsBar);
+  await metaSubscription.removePostings(sub);
+  await renderFolders();
+}
+
+/**
+ * Resolves what was typed in the add panel to a feed, and previews its latest postings
+ * @param {string} query A channel URL, @handle, video link or feed URL
+ */
+async function previewSubscription(query) {
+  Object.assign(addPanel, { query, searching: true, error: null, resolved: null, postings: [] });
+  await updateRendering(addPanel);
+  let resolved = null;
+  let postings = [];
+  let error = null;
+  try {
+    resolved = await sendJson(`${settings.subscriptions}/resolve?q=${encodeURIComponent(query)}`, "GET");
+    const existing = subscriptions.find(sub => sub.url === resolved.url);
+    if (existing) throw new Error(`Already subscribed to ${resolved.url} as ${existing.title}.`);
+    const sub = new Subscription({ title: resolved.title, url: resolved.url });
+    const feed = parseFeed(await loadDocument(`feed/${resolved.url.substring(8)}`, null, sub), sub, options => new Posting(options));
+    resolved.icon = resolved.icon || feed.icon || settings.defaultIcon;
+    postings = feed.postings
+      .sort((p1, p2) => p2.published - p1.published)
+      .slice(0, settings.previewPostings);
+  }
+  catch(e) {
+    resolved = null;
+    error = e.message;
+  }
+  // Another lookup may have started in the meantime
+  if (addPanel.query !== query) return;
+  Object.assign(addPanel, { searching: false, error, resolved, postings });
+  await updateRendering(addPanel);
+}
+
+/**
+ * Subscribes to the feed previewed in the add panel
+ * @param {HTMLFormElement} form The form with the title and folder of the subscription
+ */
+async function confirmSubscription(form) {
+  const resolved = addPanel.resolved;
+  resolved.title = form.elements.title.value.trim() || resolved.title;
+  const folder = form.elements.folder.value.split("/").map(name => name.trim()).filter(name => name);
+  try {
+    await addSubscription(resolved.url, resolved.title, folder, resolved.icon);
+    addPanel.element.style.visibility = "hidden";
+  }
+  catch(e) {
+    addPanel.error = e.message;
+    await updateRendering(addPanel);
+  }
+}
+
+// Player
+
+// Origin of the YouTube embedded player, whose messages are the only ones listened to:
+const youTubeOrigin = "https://www.youtube.com";
+// State the YouTube player reports when a video played to its end:
+const youTubeEnded = 0;
+
+/**
+ * Follows the playback of a posting
+ * @typedef {object} Playback
+ * @property {Posting} posting The posting being played
+ * @property {function} stop Persists the position of the posting, and stops following its playback
+ */
+
+/**
+ * Follows the playback of a posting, resuming it where it was left at the speed of its subscription,
+ * and keeping its position and any change to the speed
+ * @param {Posting} posting The posting being played
+ * @param {Element} stage The element where the player was rendered
+ * @param {function} ended Called when the media played to its end
+ * @returns {Playback} The playback
+ */
+function attachPlayback(posting, stage, ended) {
+  let lastStored = Date.now();
+  let finished = false;
+  const playback = { posting };
+  const updatePosition = position => {
+    if (finished) return;
+    playback.posting.position = position;
+    playback.posting.stateUpdated = Date.now();
+    if (Date.now() - lastStored > settings.positionStoreInterval * 1000) {
+      lastStored = Date.now();
+      storePostings([playback.posting]);
+      scheduleSync();
+    }
+  };
+  const updateRate = async rate => {
+    const sub = playback.posting.subscription;
+    if (rate && rate !== sub.playbackRate) {
+      sub.playbackRate = rate;
+      await storeSubscription(sub);
+    }
+  };
+  const end = () => {
+    if (finished) return;
+    finished = true;
+    playback.posting.position = 0;
+    playback.posting.stateUpdated = Date.now();
+    ended();
+  };
+  const media = stage.querySelector("video, audio");
+  const iframe = stage.querySelector("iframe");
+  let detach = () => {};
+  if (media) {
+    const resume = () => {
+      if (playback.posting.position) media.currentTime = playback.posting.position;
+      media.playbackRate = playback.posting.subscription.playbackRate;
+    };
+    const timeUpdated = () => updatePosition(media.currentTime);
+    const rateChanged = () => updateRate(media.playbackRate);
+    if (media.readyState > 0) {
+      resume();
+    }
+    else {
+      media.addEventListener("loadedmetadata", resume, { once: true });
+    }
+    media.addEventListener("timeupdate", timeUpdated);
+    media.addEventListener("ratechange", rateChanged);
+    media.addEventListener("ended", end);
+    detach = () => {
+      media.removeEventListener("loadedmetadata", resume);
+      media.removeEventListener("timeupdate", timeUpdated);
+      media.removeEventListener("ratechange", rateChanged);
+      media.removeEventListener("ended", end);
+    };
+  }
+  else if (iframe) {
+    // This is the message protocol of the YouTube iframe API, without its script
+    const send = message => {
+      if (iframe.contentWindow) {
+        iframe.contentWindow.postMessage(JSON.stringify(Object.assign(message, { id: playback.posting.id, channel: "widget" })), youTubeOrigin);
+      }
+    };
+    const command = (func, args) => send({ event: "command", func, args });
+    let ready = false;
+    // The player reports a speed of 1 until the speed of the subscription is applied, that isn't a change
+    let rateApplied = playback.posting.subscription.playbackRate === 1;
+    const loaded = () => send({ event: "listening" });
+    const received = e => {
+      if (e.origin !== youTubeOrigin || e.source !== iframe.contentWindow) return;
+      let message;
+      try {
+        message = typeof(e.data) === "string" ? JSON.parse(e.data) : e.data;
+      }
+      catch(err) {
         return;
       }
-      const container = options.replacing.parentNode;
-      container.replaceChild(elements[0], options.replacing);
+      if (!message || typeof(message) !== "object") return;
+      if (!ready && (message.event === "onReady" || message.event === "initialDelivery" || message.event === "infoDelivery")) {
+        ready = true;
+        command("addEventListener", ["onStateChange"]);
+        if (playback.posting.position) command("seekTo", [playback.posting.position, true]);
+        if (!rateApplied) command("setPlaybackRate", [playback.posting.subscription.playbackRate]);
+      }
+      const info = message.info;
+      if (message.event === "infoDelivery" && info && typeof(info) === "object") {
+        if (typeof(info.currentTime) === "number") updatePosition(info.currentTime);
+        if (typeof(info.playbackRate) === "number") {
+          if (rateApplied) {
+            updateRate(info.playbackRate);
+          }
+          else if (info.playbackRate === playback.posting.subscription.playbackRate) {
+            rateApplied = true;
+          }
+        }
+        if (info.playerState === youTubeEnded) end();
+      }
+      if (message.event === "onStateChange" && info === youTubeEnded) end();
+    };
+    iframe.addEventListener("load", loaded);
+    window.addEventListener("message", received);
+    detach = () => {
+      iframe.removeEventListener("load", loaded);
+      window.removeEventListener("message", received);
+    };
+  }
+  playback.stop = () => {
+    detach();
+    storePostings([playback.posting]);
+    scheduleSync();
+  };
+  return playback;
+}
+
+/**
+ * Renders the queue of the player, and the number of queued postings on the button that plays it
+ */
+async function renderQueue() {
+  const queue = metaSubscription.queue;
+  queuePanel.items = queue.map(posting => ({ posting, playing: posting === metaSubscription.playing }));
+  await updateRendering(queuePanel);
+  metaSubscription.player.element.classList.toggle("with-queue", queue.length > 0);
+  queuePanel.button.textContent = queue.length > 0 ? `Play queue (${queue.length})` : "Play queue";
+  queuePanel.button.disabled = queue.length === 0;
+}
+
+/**
+ * Restores the queue of the previous visit, once the postings are loaded
+ */
+async function loadQueue() {
+  const keys = JSON.parse(await localFetch("queue", async () => "[]"));
+  metaSubscription.queue = keys
+    .map(([url, id]) => {
+      const sub = subscriptions.find(s => s.url === url);
+      return sub ? sub.postings.find(posting => posting.id === id) : undefined;
+    })
+    .filter(posting => posting);
+  await forEach(metaSubscription.queue, async posting => await metaSubscription.addPosting(posting));
+  await renderQueue();
+}
+
+// Notifications
+
+/**
+ * Finds if a time is within quiet hours
+ * @param {Date} date The time
+ * @param {{start: string, end: string}} hours The start and end of quiet hours, as HH:MM, that can span midnight,
+ * or null for none
+ * @returns {boolean} True if the time is within quiet hours
+ */
+function isQuietTime(date, hours) {
+  if (!hours || !hours.start || !hours.end || hours.start === hours.end) return false;
+  const time = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+  return hours.start < hours.end ?
+    time >= hours.start && time < hours.end :
+    time >= hours.start || time < hours.end;
+}
+
+/**
+ * Describes new postings for a notification: a single posting by its title, and several as a digest
+ * @param {Array<Posting>} postings The new postings, most recent first
+ * @returns {{title: string, body: string, icon: string}} The title, body and icon of the notification
+ */
+function describeNewPostings(postings) {
+  const subs = [...new Set(postings.map(posting => posting.subscription))];
+  const icon = getProxiedImageUrl(subs.length === 1 ? subs[0].icon : settings.defaultIcon);
+  if (postings.length === 1) {
+    return { title: subs[0].title, body: postings[0].title, icon };
+  }
+  const count = (number, noun) => `${number} ${noun}${number === 1 ? "" : "s"}`;
+  const lines = postings.slice(0, settings.notificationLines).map(posting => `${posting.subscription.title}: ${posting.title}`);
+  if (postings.length > settings.notificationLines) {
+    lines.push(`and ${postings.length - settings.notificationLines} more`);
+  }
+  return {
+    title: `${count(postings.length, "new video")} from ${count(subs.length, "channel")}`,
+    body: lines.join("\n"),
+    icon
+  };
+}
+
+/**
+ * Notifies of the new postings that refreshes found, in a single notification. They're forgotten if the page is
+ * being looked at or notifications aren't allowed, and kept for later during quiet hours.
+ * Clicking the notification plays the postings in the player.
+ */
+function notifyNewPostings() {
+  if (document.visibilityState === "visible" ||
+    typeof(Notification) === "undefined" || Notification.permission !== "granted") {
+    pendingNotifications = [];
+    return;
+  }
+  if (pendingNotifications.length === 0 || isQuietTime(new Date(), quietHours)) return;
+  const postings = pendingNotifications.sort((posting1, posting2) => posting2.published - posting1.published);
+  pendingNotifications = [];
+  const description = describeNewPostings(postings);
+  const notification = new Notification(description.title, {
+    body: description.body,
+    icon: description.icon,
+    tag: settings.database
+  });
+  notification.addEventListener("click", async () => {
+    window.focus();
+    notification.close();
+    // Refreshes may have replaced the postings with new versions since
+    const current = postings.map(posting => metaSubscription.postings.find(p => p.key === posting.key) || posting);
+    if (current.length > 1) {
+      await metaSubscription.enqueue(current);
+    }
+    await metaSubscription.play(current[0]);
+  });
+}
+
+/**
+ * Opts in or out of the notifications of the new postings of a subscription,
+ * asking for the permission to show notifications if it wasn't given yet
+ * @param {Subscription} sub The subscription
+ * @param {boolean} notify True to be notified of its new postings
+ */
+async function setNotify(sub, notify) {
+  if (notify && typeof(Notification) !== "undefined" && Notification.permission === "default") {
+    await Notification.requestPermission();
+  }
+  sub.notify = notify;
+  await storeSubscription(sub);
+  await renderNotificationsPanel();
+}
+
+/**
+ * Loads the quiet hours
+ * @returns {Promise<{start: string, end: string}>} The quiet hours, or null if there are none
+ */
+async function loadQuietHours() {
+  try {
+    return JSON.parse(await localFetch("quietHours", async () => "null"));
+  }
+  catch(e) {
+    console.warn(`The quiet hours couldn't be read, there won't be any: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Sets the quiet hours, and persists them
+ * @param {{start: string, end: string}} hours The start and end of quiet hours, as HH:MM, or null for none
+ */
+function setQuietHours(hours) {
+  quietHours = hours && hours.start && hours.end ? { start: hours.start, end: hours.end } : null;
+  localStore("quietHours", JSON.stringify(quietHours));
+}
+
+/**
+ * Renders the notifications panel, with the current permission and subscriptions
+ */
+async function renderNotificationsPanel() {
+  notificationsPanel.subscriptions = subscriptions;
+  await updateRendering(notificationsPanel);
+}
+
+// Selection
+
+/**
+ * Gets the selector of a subscription or folder, as it appears in the URL hash
+ * @param {Subscription|{path: Array<string>}} item The subscription or folder
+ * @returns {string} The selector
+ */
+function getSelector(item) {
+  return item instanceof Subscription ?
+    `sub:${item.id}` :
+    `folder:${item.path.map(encodeURIComponent).join("/")}`;
+}
+
+/**
+ * Finds if a posting is in the selected subscriptions and folders
+ * @param {Posting} posting The posting
+ * @returns {boolean} True if the posting is selected
+ */
+function isPostingSelected(posting) {
+  if (selectedSubscription === "*") return true;
+  const sub = posting.subscription;
+  return selectedSubscription.some(selector => selector === getSelector(sub) ||
+    (selector.substr(0, 7) === "folder:" &&
+      `${sub.folder.map(encodeURIComponent).join("/")}/`.startsWith(`${selector.substr(7)}/`)));
+}
+
+/**
+ * Parses the selection from a URL hash
+ * @param {string} hash The URL hash
+ * @returns {"*"|Array<string>} "*" if everything is selected, or the selectors of the selected subscriptions and folders
+ */
+function parseSelection(hash) {
+  const selectors = hash.replace(/^#/, "").split(",")
+    .filter(selector => selector.substr(0, 4) === "sub:" || selector.substr(0, 7) === "folder:");
+  return selectors.length === 0 ? "*" : selectors;
+}
+
+/**
+ * Changes the selected subscriptions and folders, and filters the postings accordingly
+ * @param {"*"|Array<string>} selection "*" to select everything, or the selectors of the subscriptions and folders to select
+ */
+async function select(selection) {
+  selectedSubscription = selection.length === 0 ? "*" : selection;
+  const hash = selectedSubscription === "*" ? "" : `#${selectedSubscription.join(",")}`;
+  if (location.hash !== hash) {
+    history.pushState(null, "", hash || location.pathname + location.search);
+  }
+  await forEach(subscriptions, async sub => {
+    const selected = selectedSubscription !== "*" && selectedSubscription.includes(getSelector(sub));
+    if (sub.selected !== selected) {
+      sub.selected = selected;
+      await updateRendering(sub);
+    }
+  });
+  await renderFolders();
+  await metaSubscription.applyFilter();
+}
+
+/**
+ * Selects a subscription or folder, either alone or in addition to the current selection
+ * @param {Subscription|{path: Array<string>}} item The subscription or folder
+ * @param {boolean} addToSelection True to toggle the item in the current selection, false to select it alone
+ */
+async function toggleSelection(item, addToSelection) {
+  const selector = getSelector(item);
+  const current = selectedSubscription === "*" ? [] : selectedSubscription;
+  if (addToSelection) {
+    await select(current.includes(selector) ? current.filter(s => s !== selector) : [...current, selector]);
+  }
+  else {
+    await select(current.length === 1 && current[0] === selector ? "*" : [selector]);
+  }
+}
+
+/**
+ * Renders the folders of the subscriptions, including the folders that only contain other folders
+ */
+async function renderFolders() {
+  const paths = new Map();
+  for (let sub of subscriptions) {
+    for (let depth = 1; depth <= sub.folder.length; depth++) {
+      const path = sub.folder.slice(0, depth);
+      paths.set(path.join("\n"), path);
+    }
+  }
+  folders = [...paths.values()]
+    .sort((path1, path2) => path1.join("\n") > path2.join("\n") ? 1 : -1)
+    .map(path => ({
+      path,
+      selected: selectedSubscription !== "*" && selectedSubscription.includes(getSelector({ path }))
+    }));
+  foldersBar.folders = folders;
+  await updateRendering(foldersBar);
+}
+
+// Search
+
+/**
+ * @typedef {object} QueryClause
+ * @property {boolean} negate True if the clause excludes the postings it matches
+ * @property {function(Posting): boolean} test Finds if a posting matches the clause
+ * @property {string} highlight The text to highlight in matching postings, if any
+ */
+
+/**
+ * @typedef {object} Query
+ * @property {Array<QueryClause>} clauses The clauses that postings must all satisfy
+ * @property {Array<string>} highlights The lowercase texts to highlight
+ * @property {Array<string>} errors The parts of the query that couldn't be understood
+ */
+
+/**
+ * Parses a date from a query, as a local day for YYYY-MM-DD dates
+ * @param {string} text The text of the date
+ * @returns {Date} The date, or undefined if it's invalid
+ */
+function parseQueryDate(text) {
+  const day = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  const date = day ? new Date(parseInt(day[1]), parseInt(day[2]) - 1, parseInt(day[3])) : new Date(text);
+  return isNaN(date) ? undefined : date;
+}
+
+/**
+ * Parses a number from a query, with an optional k or m suffix
+ * @param {string} text The text of the number
+ * @returns {number} The number, or NaN if it's invalid
+ */
+function parseQueryNumber(text) {
+  const number = /^(\d+(?:\.\d+)?)([km]?)$/i.exec(text);
+  if (!number) return NaN;
+  return parseFloat(number[1]) * ({ "": 1, k: 1000, m: 1000000 })[number[2].toLowerCase()];
+}
+
+/**
+ * Parses a search query. Words and "quoted phrases" are searched in titles and descriptions,
+ * and all must be found unless prefixed with - to exclude them. The channel: prefix searches
+ * the title of the subscription, before: and after: compare dates with the published date,
+ * and views: compares the number of views with >, <, >=, <= or =, defaulting to >=.
+ * @param {string} text The text of the query
+ * @returns {Query} The parsed query, or null if it's empty
+ */
+function parseQuery(text) {
+  const query = { clauses: [], highlights: [], errors: [] };
+  const tokenPattern = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  for (let match of text.matchAll(tokenPattern)) {
+    const negate = match[1] === "-";
+    const field = match[2] ? match[2].toLowerCase() : null;
+    const value = match[3] !== undefined ? match[3] : match[4];
+    const lowerValue = value.toLowerCase();
+    if (!value) continue;
+    switch (field) {
+      case "channel":
+        query.clauses.push({ negate, test: posting => posting.subscription.title.toLowerCase().includes(lowerValue) });
+        break;
+      case "before":
+      case "after": {
+        const date = parseQueryDate(value);
+        if (!date) {
+          query.errors.push(`${field}:${value} isn't a valid date.`);
+          break;
+        }
+        query.clauses.push({ negate, test: field === "before" ? posting => posting.published < date : posting => posting.published >= date });
+        break;
+      }
+      case "views": {
+        const comparison = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+        const views = parseQueryNumber(comparison[2]);
+        if (isNaN(views)) {
+          query.errors.push(`views:${value} isn't a valid number of views.`);
+          break;
+        }
+        const compare = {
+          ">": v => v > views,
+          "<": v => v < views,
+          ">=": v => v >= views,
+          "<=": v => v <= views,
+          "=": v => v === views
+        }[comparison[1] || ">="];
+        query.clauses.push({ negate, test: posting => compare(posting.views) });
+        break;
+      }
+      default: {
+        const searched = field ? `${match[2]}:${value}`.toLowerCase() : lowerValue;
+        query.clauses.push({
+          negate,
+          test: posting => posting.title.toLowerCase().includes(searched) || posting.description.toLowerCase().includes(searched)
+        });
+        if (!negate) {
+          query.highlights.push(searched);
+        }
+      }
     }
-    if (options.after) {
-      options.after.after(elements[0]);
+  }
+  return query.clauses.length > 0 || query.errors.length > 0 ? query : null;
+}
+
+/**
+ * Finds if a posting matches a search query
+ * @param {Query} query The query, or null to match everything
+ * @param {Posting} posting The posting
+ * @returns {boolean} True if the posting matches the query
+ */
+function matchesQuery(query, posting) {
+  return !query || query.clauses.every(clause => clause.test(posting) !== clause.negate);
+}
+
+/**
+ * Finds the ranges of text to highlight, merging those that overlap
+ * @param {string} text The text
+ * @param {Array<string>} highlights The lowercase texts to highlight
+ * @returns {Array<{start: number, end: number}>} The sorted ranges to highlight
+ */
+function findHighlights(text, highlights) {
+  const lowerText = text.toLowerCase();
+  const ranges = [];
+  for (let highlight of highlights) {
+    for (let index = lowerText.indexOf(highlight); index !== -1; index = lowerText.indexOf(highlight, index + highlight.length)) {
+      ranges.push({ start: index, end: index + highlight.length });
     }
-    if (options.before) {
-      options.before.before(elements[0]);
+  }
+  ranges.sort((range1, range2) => range1.start - range2.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    }
+    else {
+      merged.push(range);
     }
+    return merged;
+  }, []);
+}
+
+/**
+ * Replaces the contents of an element with text, where the highlighted ranges are wrapped in mark elements
+ * @param {Element} element The element
+ * @param {string} text The text
+ * @param {Array<{start: number, end: number}>} ranges The ranges to highlight
+ */
+function setHighlightedText(element, text, ranges) {
+  element.textContent = "";
+  let position = 0;
+  for (let range of ranges) {
+    const mark = document.createElement("mark");
+    mark.textContent = text.substring(range.start, range.end);
+    element.append(text.substring(position, range.start), mark);
+    position = range.end;
   }
-  return elements;
+  element.append(text.substring(position));
 }
 
 /**
- * Updates the rendered elements for this data.
- * @param {object} data The data to re-render
+ * Highlights the parts of a rendered posting that match the search query,
+ * and shows an excerpt of its description around the first match
+ * @param {Posting} posting The posting
+ * @param {Element} element The rendered posting
  */
-async function updateRendering(data) {
-  if (data.elements) {
-    await forEach(data.elements, async el => {
-      const index = data.elements.indexOf(el);
-      if (index === -1) return;
-      data.elements.splice(index, 1);
-      await render(data, {usingTemplate: el.template, replacing: el.element});
-    });
+function highlightPosting(posting, element) {
+  const highlights = searchQuery ? searchQuery.highlights : [];
+  const title = element.querySelector(".title");
+  if (title) {
+    setHighlightedText(title, posting.title, findHighlights(posting.title, highlights));
+  }
+  const snippet = element.querySelector(".snippet");
+  if (snippet) {
+    const ranges = findHighlights(posting.description, highlights);
+    if (ranges.length === 0) {
+      snippet.textContent = "";
+      return;
+    }
+    const start = Math.max(0, ranges[0].start - settings.snippetContext);
+    const end = Math.min(posting.description.length, ranges[0].end + settings.snippetContext);
+    const excerpt = `${start > 0 ? "…" : ""}${posting.description.substring(start, end)}${end < posting.description.length ? "…" : ""}`;
+    const offset = start > 0 ? start - 1 : start;
+    setHighlightedText(snippet, excerpt, ranges
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({ start: range.start - offset, end: range.end - offset })));
+  }
+}
+
+/**
+ * Changes the search query, and filters and highlights the postings accordingly
+ * @param {string} text The text of the query
+ * @returns {Array<string>} The parts of the query that couldn't be understood
+ */
+function search(text) {
+  searchQuery = parseQuery(text);
+  metaSubscription.applyFilter();
+  return searchQuery ? searchQuery.errors : [];
+}
+
+// Ranking
+
+// The orders the timeline can be sorted in, by name, with the score of a posting at a given time for the ones that rank
+const sortModes = {
+  newest: { title: "Newest" },
+  views: { title: "Most viewed", score: posting => posting.views },
+  rating: { title: "Highest rated", score: posting => posting.starRating },
+  trending: {
+    title: "Trending",
+    score: (posting, now) => getViewVelocity(posting, now) * 0.5 ** (getAgeInDays(posting, now) / settings.trendingHalfLife)
   }
+};
+
+/**
+ * Gets the age of a posting, of at least an hour so that new postings don't get infinite velocities
+ * @param {Posting} posting The posting
+ * @param {number} now The time the age is measured at
+ * @returns {number} The number of days since the posting was published
+ */
+function getAgeInDays(posting, now) {
+  return Math.max(now - posting.published, 3600000) / 86400000;
 }
 
-// Model mapping
+/**
+ * Gets the number of views of a posting per day since it was published
+ * @param {Posting} posting The posting
+ * @param {number} now The time the velocity is measured at
+ * @returns {number} The number of views per day
+ */
+function getViewVelocity(posting, now) {
+  return posting.views / getAgeInDays(posting, now);
+}
 
 /**
- * @callback mapping Transforms an object into another
- * @param {object} obj The object to map
- * @returns {object} The mapped object 
+ * Gets the score of a posting in a sort mode, multiplied by the weight of its subscription
+ * @param {Posting} posting The posting
+ * @param {string} mode The name of the sort mode
+ * @param {number} now The time the score is computed at
+ * @returns {number} The score, or null if the sort mode doesn't rank postings
  */
+function getRankScore(posting, mode, now) {
+  const score = sortModes[mode].score;
+  return score ? score(posting, now) * posting.subscription.weight : null;
+}
 
 /**
- * Maps an object from one model to another
- * @param {object} obj The object to map
- * @param {mapping} mapping The function doing the mapping
+ * Gets the ranking of the timeline for a sort mode. Scores are computed at the time of the ranking,
+ * so that the postings keep their order relative to each other.
+ * @param {string} mode The name of the sort mode
+ * @returns {Ranking} The ranking, or null for the sort mode by date
  */
-function mapModel(obj, mapping) {
-  return mapping(obj);
+function getRanking(mode) {
+  if (!sortModes[mode].score) return null;
+  const now = Date.now();
+  return { title: sortModes[mode].title, score: posting => getRankScore(posting, mode, now) };
 }
 
-// Local storage
+/**
+ * Gets the view counts recorded for a posting, with the views gained since the previous count
+ * @param {Posting} posting The posting
+ * @returns {Array<{date: Date, views: number, delta: number}>} The counts, most recent first, where the delta of the
+ * first count recorded is null
+ */
+function getViewDeltas(posting) {
+  return posting.viewHistory
+    .map((count, index, history) => ({
+      date: count.date,
+      views: count.views,
+      delta: index > 0 ? count.views - history[index - 1].views : null
+    }))
+    .reverse();
+}
 
 /**
- * Clears local storage, mostly during development
+ * Changes the sort mode of the timeline
+ * @param {string} mode The name of the sort mode
  */
-function clearLocalStore() {
-  localStorage.clear();
+async function setSortMode(mode) {
+  sortMode = sortModes.hasOwnProperty(mode) ? mode : "newest";
+  localStore("sortMode", sortMode);
+  await metaSubscription.applyFilter();
 }
 
 /**
- * Stores a value
- * @param {string} name the name of the value to store
- * @param {*} value the value to store
+ * Asks for the ranking weight of a subscription, and re-ranks the timeline with it
+ * @param {Subscription} sub The subscription
  */
-function localStore(name, value) {
-  localStorage.setItem(name, value);
+async function editSubscriptionWeight(sub) {
+  const entered = prompt(`Ranking weight of ${sub.title}, from 0 to ${settings.maxSubscriptionWeight}. ` +
+    "The scores of its postings are multiplied by it when they're not sorted by date.", sub.weight);
+  if (entered === null || entered.trim() === "") return;
+  const weight = Number(entered);
+  if (isNaN(weight) || weight < 0 || weight > settings.maxSubscriptionWeight) {
+    alert(`${entered} isn't a weight between 0 and ${settings.maxSubscriptionWeight}.`);
+    return;
+  }
+  sub.weight = weight;
+  await updateRendering(sub);
+  await storeSubscription(sub);
+  if (metaSubscription.timeline.ranking) {
+    await metaSubscription.applyFilter();
+  }
 }
 
+// Mute rules
+
 /**
- * @callback getValueCallback
- * @returns {*} the value
+ * @typedef {object} MuteRule
+ * @property {string} id The unique id of the rule
+ * @property {string} name The name of the rule, shown on the postings it hides
+ * @property {boolean} enabled False to suspend the rule
+ * @property {string} action "hide" to hide matching postings, or "collapse" to show a note in their place
+ * @property {string} subscription The feed URL of the only subscription the rule applies to, or null for all
+ * @property {string} pattern A regular expression that matches the muted postings, or null
+ * @property {string} field Where the pattern is searched: "title", "description" or "both"
+ * @property {number} minStarRating The star rating under which postings are muted, or null
+ * @property {number} minViews The number of views under which postings are muted, or null
+ * @property {number} maxAgeDays The age in days over which postings are muted, or null
  */
 
+const ruleFields = ["id", "name", "enabled", "action", "subscription", "pattern", "field", "minStarRating", "minViews", "maxAgeDays"];
+
+const ruleRegexCache = new Map();
+
 /**
- * Fetches a value from local storage, or restores it using the provided callback
- * @param {string} name the name of the value to fetch
- * @param {getValueCallback} fallback an async function that can generate the value if the cache lookup misses
+ * Finds if a regular expression repeats a group that has a repetition or alternatives of its own, such as (a+)+,
+ * (\w+\s?)* or (a|a)*, which can take exponential time to find that a text doesn't match
+ * @param {string} pattern The regular expression
+ * @returns {boolean} True if a repeated group has a repetition or alternatives
  */
-async function localFetch(name, fallback) {
-  const result = localStorage.getItem(name) || await fallback();
-  localStore(name, result);
-  return result;
+function repeatsComplexGroup(pattern) {
+  const quantifier = /^(?:[*+]|\{\d+,\d*\})/;
+  // The groups being read, from the whole pattern to the innermost one, and whether they have a repetition
+  // or alternatives, directly or in the groups they contain
+  const groups = [{ repeats: false, alternates: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+    }
+    else if (char === "[") {
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    }
+    else if (char === "(") {
+      groups.push({ repeats: false, alternates: false });
+    }
+    else if (char === "|") {
+      groups[groups.length - 1].alternates = true;
+    }
+    else if (char === ")") {
+      const group = groups.length > 1 ? groups.pop() : { repeats: false, alternates: false };
+      const repeated = quantifier.exec(pattern.substr(i + 1));
+      if (repeated && (group.repeats || group.alternates)) return true;
+      if (repeated) i += repeated[0].length;
+      const parent = groups[groups.length - 1];
+      parent.repeats = parent.repeats || group.repeats || !!repeated;
+      parent.alternates = parent.alternates || group.alternates;
+    }
+    else if (quantifier.test(pattern.substr(i))) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return false;
 }
 
-// Application features
+/**
+ * Validates and normalizes a mute rule
+ * @param {object} rule The rule, as entered or imported
+ * @returns {MuteRule} The normalized rule, without any other property
+ */
+function validateRule(rule) {
+  if (!rule || typeof(rule) !== "object") {
+    throw new Error("A rule must be an object.");
+  }
+  const toNumber = value => value === undefined || value === null || value === "" ? null : Number(value);
+  const normalized = {
+    id: rule.id ? String(rule.id) : `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`,
+    name: String(rule.name || "").trim(),
+    enabled: rule.enabled !== false,
+    action: rule.action === "hide" ? "hide" : "collapse",
+    subscription: rule.subscription ? String(rule.subscription) : null,
+    pattern: rule.pattern ? String(rule.pattern) : null,
+    field: ["title", "description"].includes(rule.field) ? rule.field : "both",
+    minStarRating: toNumber(rule.minStarRating),
+    minViews: toNumber(rule.minViews),
+    maxAgeDays: toNumber(rule.maxAgeDays)
+  };
+  if (!normalized.name) {
+    throw new Error("A rule must have a name.");
+  }
+  for (let field of ["minStarRating", "minViews", "maxAgeDays"]) {
+    if (normalized[field] !== null && (isNaN(normalized[field]) || normalized[field] < 0)) {
+      throw new Error(`${normalized.name}: ${field} must be a positive number.`);
+    }
+  }
+  if (normalized.pattern) {
+    // Patterns run on every posting, and imported ones aren't necessarily written with care
+    if (normalized.pattern.length > settings.maxRulePatternLength) {
+      throw new Error(`${normalized.name}: the pattern is longer than ${settings.maxRulePatternLength} characters.`);
+    }
+    if (repeatsComplexGroup(normalized.pattern)) {
+      throw new Error(`${normalized.name}: the pattern repeats a group that has a repetition or alternatives, ` +
+        "such as (a+)+ or (a|b)*, which can freeze the application.");
+    }
+    try {
+      new RegExp(normalized.pattern, "i");
+    }
+    catch(e) {
+      throw new Error(`${normalized.name}: the pattern isn't a valid regular expression. ${e.message}`);
+    }
+  }
+  if (!normalized.pattern && normalized.minStarRating === null && normalized.minViews === null && normalized.maxAgeDays === null) {
+    throw new Error(`${normalized.name}: a rule needs a pattern, a minimum star rating, a minimum number of views or a maximum age.`);
+  }
+  return normalized;
+}
 
-/** Refreshes the data about a subscription
- * @param {Subscription} sub The subscription structure
+/**
+ * Finds if a mute rule applies to a posting. All the conditions of the rule must be met.
+ * Postings without a star rating or a view count are never muted by those conditions.
+ * @param {MuteRule} rule The rule
+ * @param {Posting} posting The posting
+ * @returns {boolean} True if the rule mutes the posting
  */
-async function refreshSubscription(sub) {
-  if (sub.url.substring(0, 8) === "https://") {
-    //console.log(`Fetching ${sub.title} from ${sub.url}...`);
-    const subDoc = await loadDocument(`feed/${sub.url.substring(8)}`, null, sub);
-    sub.pageUrl = subDoc.querySelector('feed link[rel="alternate"]').getAttribute("href");
-    const subFeed = [...subDoc.querySelectorAll('feed entry')]
-      .map(entry => new Posting({
-        id: entry.querySelector("videoId").textContent || entry.querySelector("id").textContent,
-        title: entry.querySelector("title").textContent,
-        url: entry.querySelector('link[rel="alternate"]').getAttribute("href"),
-        media: mapModel(
-          entry.querySelector("group content[url]"),
-          m => ({
-            url: m.getAttribute("url"),
-            width: m.getAttribute("width"),
-            height: m.getAttribute("height")
-          })),
-        thumbnail: mapModel(
-          entry.querySelector("group thumbnail[url]"),
-          m => ({
-            url: m.getAttribute("url"),
-            width: m.getAttribute("width"),
-            height: m.getAttribute("height")
-          })),
-        published: new Date(entry.querySelector("published").textContent),
-        updated: new Date(entry.querySelector("updated").textContent),
-        description: entry.querySelector("group description").textContent,
-        starRating: parseFloat(entry.querySelector("community starRating").getAttribute("average")),
-        views: parseInt(entry.querySelector("community statistics[views]").getAttribute("views")),
-        subscription: sub
-      }));
-    await forEach(subFeed, async posting => {
-      await sub.addPosting(posting);
+function ruleMatches(rule, posting) {
+  if (!rule.enabled) return false;
+  if (rule.subscription && rule.subscription !== posting.subscription.url) return false;
+  if (rule.pattern) {
+    if (!ruleRegexCache.has(rule.pattern)) {
+      ruleRegexCache.set(rule.pattern, new RegExp(rule.pattern, "i"));
+    }
+    const regex = ruleRegexCache.get(rule.pattern);
+    if (!((rule.field !== "description" && regex.test(posting.title)) ||
+      (rule.field !== "title" && regex.test(posting.description)))) return false;
+  }
+  if (rule.minStarRating !== null && !(posting.starRating > 0 && posting.starRating < rule.minStarRating)) return false;
+  if (rule.minViews !== null && !(posting.views > 0 && posting.views < rule.minViews)) return false;
+  if (rule.maxAgeDays !== null && !(Date.now() - posting.published > rule.maxAgeDays * 86400000)) return false;
+  return true;
+}
+
+/**
+ * Finds the first mute rule that applies to a posting
+ * @param {Posting} posting The posting
+ * @returns {MuteRule} The rule, or null if the posting isn't muted or was un-muted by the user
+ */
+function findMuteRule(posting) {
+  if (posting.unmuted) return null;
+  return muteRules.find(rule => ruleMatches(rule, posting)) || null;
+}
+
+/**
+ * Describes the conditions of a mute rule
+ * @param {MuteRule} rule The rule
+ * @returns {string} The description
+ */
+function describeRule(rule) {
+  const conditions = [];
+  if (rule.pattern) conditions.push(`${rule.field === "both" ? "title or description" : rule.field} matches /${rule.pattern}/`);
+  if (rule.minStarRating !== null) conditions.push(`rated under ${rule.minStarRating}`);
+  if (rule.minViews !== null) conditions.push(`under ${rule.minViews} views`);
+  if (rule.maxAgeDays !== null) conditions.push(`older than ${rule.maxAgeDays} days`);
+  const sub = rule.subscription ? subscriptions.find(s => s.url === rule.subscription) : null;
+  return `${conditions.join(", ")}${rule.subscription ? ` in ${sub ? sub.title : rule.subscription}` : ""}`;
+}
+
+/**
+ * Loads the persisted mute rules
+ * @returns {Promise<Array<MuteRule>>} The rules
+ */
+async function loadMuteRules() {
+  let rules;
+  try {
+    rules = JSON.parse(await localFetch("muteRules", async () => "[]"));
+  }
+  catch(e) {
+    console.error(`The mute rules couldn't be loaded: ${e.message}`);
+    return [];
+  }
+  // A rule that's no longer valid doesn't take the others with it
+  return (Array.isArray(rules) ? rules : []).flatMap(rule => {
+    try {
+      return [validateRule(rule)];
+    }
+    catch(e) {
+      console.error(`A mute rule was ignored: ${e.message}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * Exports mute rules as JSON
+ * @param {Array<MuteRule>} rules The rules
+ * @returns {string} The JSON text of the rules
+ */
+function exportMuteRules(rules) {
+  return JSON.stringify(rules.map(rule => Object.fromEntries(ruleFields.map(field => [field, rule[field]]))), null, 2);
+}
+
+/**
+ * Replaces the mute rules, persists them, and re-renders the postings whose muting changed
+ * @param {Array<MuteRule>} rules The new rules
+ */
+async function setMuteRules(rules) {
+  muteRules = rules;
+  localStore("muteRules", exportMuteRules(rules));
+  await forEach([...metaSubscription.postings], async posting => {
+    if (findMuteRule(posting) !== posting.mutedBy) {
       await metaSubscription.addPosting(posting);
-    });
-    const iconUrl = await getIconFromFeedPage(sub);
-    if (iconUrl) {
-      sub.icon = iconUrl;
-      await updateRendering(sub);
     }
+  });
+  await forEach(subscriptions, async sub => await updateRendering(sub));
+  await renderMuteRules();
+}
+
+/**
+ * Imports mute rules from JSON, replacing the existing rules that have the same ids
+ * @param {string} json The JSON text of an array of rules
+ */
+async function importMuteRules(json) {
+  let imported;
+  try {
+    imported = JSON.parse(json);
   }
-  else {
-    console.warn(`${sub.title} is not using https. Skipping.`);
+  catch(e) {
+    throw new Error(`The file isn't valid JSON: ${e.message}`);
   }
+  if (!Array.isArray(imported)) {
+    throw new Error("The file must contain an array of rules.");
+  }
+  const rules = imported.map(validateRule);
+  const ids = new Set(rules.map(rule => rule.id));
+  await setMuteRules([...muteRules.filter(rule => !ids.has(rule.id)), ...rules]);
 }
 
 /**
- * Scrapes the subscription's icon URL from its page
- * @param {Subscription} sub The subscription for which to scrape the icon URL
+ * Un-mutes a posting that was muted by a rule
+ * @param {Posting} posting The posting
  */
-async function getIconFromFeedPage(sub) {
-  return await localFetch(
-    `subscription:icon:${sub.title}`,
-    async () => {
-      if (sub.pageUrl && sub.pageUrl.substring(0, 8) === "https://") {
-        // console.log(`Fetching ${sub.pageUrl}...`);
-        const subDoc = await loadDocument(`feed/${sub.pageUrl.substring(8)}`, "text/html");
-        const iconUrl = subDoc.querySelector('link[rel="image_src"]').getAttribute("href");
-        // console.log(`Found icon URL ${iconUrl}`);
-        return iconUrl;
-      }
-      else {
-        console.warn(`${sub.title} page isn't known or isn't using https. Skipping.`);
+async function unmute(posting) {
+  posting.unmuted = true;
+  posting.stateUpdated = Date.now();
+  await metaSubscription.addPosting(posting);
+  await updateRendering(posting.subscription);
+  await storePostings([posting]);
+  scheduleSync();
+}
+
+/**
+ * Renders the list of mute rules in the settings panel
+ */
+async function renderMuteRules() {
+  rulesPanel.rules = muteRules;
+  await updateRendering(rulesPanel);
+}
+
+/**
+ * Fills the rule form of the settings panel with a rule, or clears it
+ * @param {MuteRule} rule The rule to edit, or null to clear the form
+ */
+function editMuteRule(rule) {
+  const form = rulesPanel.form;
+  form.reset();
+  const scope = form.elements.subscription;
+  scope.length = 1;
+  for (let sub of subscriptions) {
+    scope.add(new Option(sub.title, sub.url));
+  }
+  if (rule) {
+    for (let field of ruleFields) {
+      if (form.elements[field] && rule[field] !== null) {
+        form.elements[field].value = rule[field];
       }
     }
-  );
+  }
+  form.elements.id.value = rule ? rule.id : "";
 }
 
 // Application startup
@@ -504,38 +3828,332 @@ document.addEventListener("DOMContentLoaded", async () => {
   const subscriptionsSection = document.getElementById("subscriptions");
   const subscriptionTemplate = document.getElementById("subscription-template");
   const postingsSection = document.getElementById("postings");
-  const postingTemplate = document.getElementById("posting-template");
   const player = document.getElementById("player");
   const playerTemplate = document.getElementById("player-template");
 
   // Set-up the meta subscription to render the feed
-  metaSubscription.postingsElements = [{element: postingsSection, template: postingTemplate}];
-  metaSubscription.player = { element: player, template: playerTemplate };
-
-  // Load subscriptions
-  subscriptions = [...(await loadDocument(settings.subscriptions))
-    .firstElementChild
-    .firstElementChild
-    .firstElementChild
-    .children
-  ].map(node => new Subscription({
-    title: node.attributes.title.nodeValue,
-    url: node.attributes.xmlUrl.nodeValue
-  }));
-
+  metaSubscription.timeline = new Timeline({
+    element: postingsSection,
+    template: document.getElementById("posting-template"),
+    groupTemplate: document.getElementById("timeline-group-template"),
+    divider: document.getElementById("new-divider"),
+    highlight: highlightPosting
+  });
+  metaSubscription.player = { element: player, stage: document.getElementById("player-stage"), template: playerTemplate };
+  metaSubscription.filter = posting => isPostingSelected(posting) && matchesQuery(searchQuery, posting) &&
+    !(hideWatched && posting.watched);
+  metaSubscription.mute = findMuteRule;
+  metaSubscription.rank = () => getRanking(sortMode);
+  // Get what changed on other devices before reading the local values
+  await syncState();
+  muteRules = await loadMuteRules();
+  hideWatched = await localFetch("hideWatched", async () => false) === "true";
+  quietHours = await loadQuietHours();
+  const storedSortMode = await localFetch("sortMode", async () => "newest");
+  sortMode = sortModes.hasOwnProperty(storedSortMode) ? storedSortMode : "newest";
+  metaSubscription.timeline.ranking = metaSubscription.rank();
+  metaSubscription.hwm = new Date(await localFetch("lastVisit", async () => new Date(0).toISOString()));
+  window.addEventListener("pagehide", endVisit);
+  subscriptionsBar = { element: subscriptionsSection, template: subscriptionTemplate, subscriptions: [], errors: [] };
+  foldersBar = { element: document.getElementById("folders"), template: document.getElementById("folder-template"), folders: [] };
+  rulesPanel = {
+    element: document.getElementById("rules-panel"),
+    list: document.getElementById("rules"),
+    template: document.getElementById("rule-template"),
+    form: document.getElementById("rule-form"),
+    rules: muteRules
+  };
+  // The bars and the rule list are rendered once, and then updated as their items change
   subscriptionsSection.innerHTML = "";
-  await forEach(subscriptions.sort((sub1, sub2) => sub1.title > sub2.title ? 1 : sub1.title < sub2.title ? -1 : 0),
-    async sub => {
-      await render(sub, {
-        atEndOf: subscriptionsSection,
-        usingTemplate: subscriptionTemplate
-      });
-      await refreshSubscription(sub);
+  await render(subscriptionsBar, { atEndOf: subscriptionsSection, usingTemplate: subscriptionTemplate });
+  await render(subscriptionsBar, { atEndOf: subscriptionsSection, usingTemplate: document.getElementById("opml-errors-template") });
+  foldersBar.element.innerHTML = "";
+  await render(foldersBar, { atEndOf: foldersBar.element, usingTemplate: foldersBar.template });
+  rulesPanel.list.innerHTML = "";
+  await render(rulesPanel, { atEndOf: rulesPanel.list, usingTemplate: rulesPanel.template });
+  addPanel = {
+    element: document.getElementById("add-panel"),
+    form: document.getElementById("add-form"),
+    preview: document.getElementById("add-preview"),
+    query: "",
+    searching: false,
+    error: null,
+    resolved: null,
+    postings: []
+  };
+  await render(addPanel, { atEndOf: addPanel.preview, usingTemplate: document.getElementById("add-preview-template") });
+  queuePanel = {
+    element: document.getElementById("queue"),
+    button: document.getElementById("queue-button"),
+    items: []
+  };
+  await render(queuePanel, { atEndOf: queuePanel.element, usingTemplate: document.getElementById("queue-template") });
+  notificationsPanel = {
+    element: document.getElementById("notifications-panel"),
+    form: document.getElementById("quiet-hours-form"),
+    subscriptions: []
+  };
+  await render(notificationsPanel, {
+    atEndOf: document.getElementById("notification-subscriptions"),
+    usingTemplate: document.getElementById("notifications-template")
+  });
+
+  // Cache the application shell for offline use
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("service-worker.js")
+      .catch(e => console.warn(`The service worker failed to register: ${e}`));
+  }
+
+  // Load subscriptions, from the server if it can be reached, and from the persisted ones otherwise
+  const stored = await loadStoredSubscriptions();
+  let offline = false;
+  try {
+    const opml = parseOpml(await loadDocument(settings.subscriptions));
+    // Malformed subscriptions are listed at the end of the subscriptions bar, so that they can be fixed
+    subscriptionsBar.errors = opml.errors.map((message, id) => ({ id, message }));
+    subscriptions = opml.subscriptions.map(sub => {
+      // Keep what was learned about the subscription in previous sessions
+      const previous = stored.find(s => s.url === sub.url);
+      return previous ? Object.assign(previous, { title: sub.title, folder: sub.folder }) : sub;
+    });
+    await storeSubscriptions(subscriptions);
+  }
+  catch(e) {
+    if (stored.length === 0) throw e;
+    console.warn(`Subscriptions couldn't be loaded, showing the persisted feed read-only: ${e.message}`);
+    subscriptions = stored;
+    offline = true;
+    document.body.classList.add("offline");
+  }
+
+  // Render subscriptions and their persisted postings, with the selection from the URL
+  selectedSubscription = parseSelection(location.hash);
+  await renderFolders();
+  subscriptionsBar.subscriptions = subscriptions.sort((sub1, sub2) => sub1.title > sub2.title ? 1 : sub1.title < sub2.title ? -1 : 0);
+  await updateRendering(subscriptionsBar);
+  await forEach(subscriptions, async sub => {
+    await forEach(await loadStoredPostings(sub), async posting => {
+      await sub.addPosting(posting);
+      await metaSubscription.addPosting(posting);
+    });
+  });
+  await syncState();
+  await loadQueue();
+  // Send the changes made here when leaving the page, and get the ones made elsewhere when coming back
+  document.addEventListener("visibilitychange", async () => await syncState());
+
+  // Wire subscription management controls
+  subscriptionsSection.addEventListener("click", async e => {
+    const sub = subscriptions.find(s => s.elements && s.elements.some(el => el.element.contains(e.target)));
+    if (sub && e.target.closest(".subscription-mark-watched")) {
+      await markAllWatched([sub]);
+      return;
+    }
+    if (sub && !e.target.closest(".subscription-remove")) {
+      await toggleSelection(sub, e.ctrlKey || e.metaKey || e.shiftKey);
+      return;
+    }
+    if (sub && confirm(`Unsubscribe from ${sub.title}?`)) {
+      try {
+        await removeSubscription(sub);
+      }
+      catch(err) {
+        alert(err.message);
+      }
+    }
+  });
+  document.getElementById("add-button").addEventListener("click", async () => {
+    addPanel.form.reset();
+    Object.assign(addPanel, { query: "", searching: false, error: null, resolved: null, postings: [] });
+    await updateRendering(addPanel);
+    addPanel.element.style.visibility = "visible";
+    addPanel.form.elements.query.focus();
+  });
+  document.getElementById("add-close").addEventListener("click", () => {
+    addPanel.element.style.visibility = "hidden";
+  });
+  addPanel.form.addEventListener("submit", async e => {
+    e.preventDefault();
+    await previewSubscription(addPanel.form.elements.query.value.trim());
+  });
+
+  // Wire folder selection
+  foldersBar.element.addEventListener("click", async e => {
+    const folder = folders.find(f => f.elements && f.elements.some(el => el.element.contains(e.target)));
+    if (folder) {
+      await toggleSelection(folder, e.ctrlKey || e.metaKey || e.shiftKey);
+    }
+  });
+  window.addEventListener("hashchange", async () => await select(parseSelection(location.hash)));
+
+  // Wire search box
+  const searchBox = document.getElementById("search-box");
+  const searchHelp = searchBox.title;
+  let searchTimeout = null;
+  searchBox.addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      const errors = search(searchBox.value);
+      searchBox.setCustomValidity(errors.join(" "));
+      searchBox.title = errors.join(" ") || searchHelp;
+    }, settings.searchDelay);
+  });
+
+  // Wire watched state controls
+  document.getElementById("mark-all-watched-button").addEventListener("click", async () => {
+    await markAllWatched(subscriptions);
+  });
+  const hideWatchedButton = document.getElementById("hide-watched-button");
+  const setHideWatched = hide => {
+    hideWatched = hide;
+    hideWatchedButton.classList.toggle("button-outline", !hide);
+    localStore("hideWatched", hide);
+  };
+  setHideWatched(hideWatched);
+  hideWatchedButton.addEventListener("click", async () => {
+    setHideWatched(!hideWatched);
+    await metaSubscription.applyFilter();
+  });
+
+  // Wire sort mode selector
+  const sortSelect = document.getElementById("sort-select");
+  sortSelect.value = sortMode;
+  sortSelect.addEventListener("change", async () => await setSortMode(sortSelect.value));
+
+  // Wire mute rules panel
+  document.getElementById("rules-button").addEventListener("click", async () => {
+    editMuteRule(null);
+    await renderMuteRules();
+    rulesPanel.element.style.visibility = "visible";
+  });
+  document.getElementById("rules-close").addEventListener("click", () => {
+    rulesPanel.element.style.visibility = "hidden";
+  });
+  rulesPanel.list.addEventListener("click", async e => {
+    const rule = muteRules.find(r => r.elements && r.elements.some(el => el.element.contains(e.target)));
+    if (!rule) return;
+    if (e.target.closest(".rule-enabled")) {
+      await setMuteRules(muteRules.map(r => r === rule ? Object.assign(validateRule(r), { enabled: e.target.checked }) : r));
     }
-  );
+    else if (e.target.closest(".rule-edit")) {
+      editMuteRule(rule);
+    }
+    else if (e.target.closest(".rule-delete") && confirm(`Delete the rule ${rule.name}?`)) {
+      await setMuteRules(muteRules.filter(r => r !== rule));
+    }
+  });
+  rulesPanel.form.addEventListener("submit", async e => {
+    e.preventDefault();
+    const form = rulesPanel.form;
+    const entered = Object.fromEntries(ruleFields
+      .filter(field => form.elements[field])
+      .map(field => [field, form.elements[field].value]));
+    try {
+      const existing = muteRules.find(r => r.id === entered.id);
+      const rule = validateRule(Object.assign(entered, { enabled: existing ? existing.enabled : true }));
+      await setMuteRules(existing ? muteRules.map(r => r === existing ? rule : r) : [...muteRules, rule]);
+      editMuteRule(null);
+    }
+    catch(err) {
+      alert(err.message);
+    }
+  });
+  document.getElementById("rule-form-clear").addEventListener("click", () => editMuteRule(null));
+  document.getElementById("rules-export").addEventListener("click", () => {
+    download(exportMuteRules(muteRules), "tubular-9000-rules.json", "application/json");
+  });
+  const rulesImport = document.getElementById("rules-import");
+  rulesImport.addEventListener("change", async () => {
+    try {
+      await importMuteRules(await rulesImport.files[0].text());
+    }
+    catch(err) {
+      alert(err.message);
+    }
+    rulesImport.value = "";
+  });
+
+  // Wire notifications panel
+  document.getElementById("notifications-button").addEventListener("click", async () => {
+    const form = notificationsPanel.form;
+    form.elements.start.value = quietHours ? quietHours.start : "";
+    form.elements.end.value = quietHours ? quietHours.end : "";
+    await renderNotificationsPanel();
+    notificationsPanel.element.style.visibility = "visible";
+  });
+  document.getElementById("notifications-close").addEventListener("click", () => {
+    notificationsPanel.element.style.visibility = "hidden";
+  });
+  notificationsPanel.form.addEventListener("submit", e => {
+    e.preventDefault();
+    const form = notificationsPanel.form;
+    setQuietHours({ start: form.elements.start.value, end: form.elements.end.value });
+  });
+
+  // Wire export button
+  document.getElementById("export-button").addEventListener("click", () => {
+    download(exportOpml(subscriptions, "TUBULAR-9000 subscriptions"), "subscriptions.opml", "text/x-opml");
+  });
 
-  // Wire refresh button
-  document.getElementById("refresh-button").addEventListener("click", async () => {
-    await forEach(subscriptions, async sub => await refreshSubscription(sub));
+  // Wire state backup buttons, and the status of the sync. The application restarts after an import, as values
+  // are read when it starts.
+  const stateExport = document.getElementById("state-export");
+  await render(syncStatus, {
+    usingTemplate: document.getElementById("sync-status-template"),
+    before: stateExport.parentNode
   });
+  stateExport.addEventListener("click", async () => {
+    download(await exportState(), "tubular-9000-state.json", "application/json");
+  });
+  const stateImport = document.getElementById("state-import");
+  stateImport.addEventListener("change", async () => {
+    try {
+      await importState(await stateImport.files[0].text());
+      location.reload();
+    }
+    catch(err) {
+      alert(err.message);
+    }
+    stateImport.value = "";
+  });
+
+  // Wire refresh button and progress
+  const refreshButton = document.getElementById("refresh-button");
+  await render(refreshProgress, {
+    usingTemplate: document.getElementById("refresh-progress-template"),
+    before: refreshButton.parentNode
+  });
+  refreshButton.addEventListener("click", async () => await refreshSubscriptions(subscriptions));
+
+  // Wire the player queue, and the keyboard shortcuts of the player: N for next, P for previous, Escape to close
+  queuePanel.button.addEventListener("click", async () => await metaSubscription.playNext());
+  document.getElementById("queue-clear-watched").addEventListener("click", async () => await metaSubscription.removeWatchedFromQueue());
+  document.addEventListener("keydown", async e => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest("input, textarea, select")) return;
+    if (e.key === "n" || e.key === "N") {
+      await metaSubscription.playNext();
+    }
+    else if ((e.key === "p" || e.key === "P") && metaSubscription.playing) {
+      await metaSubscription.playPrevious();
+    }
+    else if (e.key === "Escape" && metaSubscription.playing) {
+      await metaSubscription.closePlayer();
+    }
+  });
+
+  // Wire logout button, only shown when the server required login
+  const logoutButton = document.getElementById("logout-button");
+  logoutButton.parentNode.hidden = !getCsrfToken();
+  logoutButton.addEventListener("click", async () => {
+    await sendJson("/logout", "POST");
+    location.assign("/login");
+  });
+
+  // Refresh the persisted feed in the background, and then periodically
+  if (!offline) {
+    if (settings.autoRefreshInterval > 0) {
+      setInterval(async () => await refreshSubscriptions(subscriptions), settings.autoRefreshInterval * 60 * 1000);
+    }
+    await refreshSubscriptions(subscriptions);
+  }
 });